@@ -1,9 +1,12 @@
 // Run the ES Modules examples
 $ node esm-modules.js
 
+
+// @node 20.10.0
 // Run a single ESM file without package.json
 $ node --experimental-default-type=module script.js
 
+
 // Check if running in ESM mode
 $ node -e "console.log(typeof require)"
 # undefined (ESM mode)
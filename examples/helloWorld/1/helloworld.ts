@@ -0,0 +1,7 @@
+// Our first program will be the standard hello world message
+function helloWorld(): string {
+  return 'Hello World!';
+}
+
+
+helloWorld();
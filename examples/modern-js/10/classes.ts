@@ -0,0 +1,13 @@
+// <b>Classes</b> are a template for creating objects, providing initial values for properties and methods.
+// In TypeScript, fields are declared with their types before the constructor assigns them.
+class Person {
+  name: string;
+
+  constructor(name: string) {
+    this.name = name;
+  }
+
+  greet(): void {
+    console.log(`Hi, I'm ${this.name}`);
+  }
+}
@@ -117,5 +117,5 @@ console.log('Current file:', __filename);
 console.log('Current dir:', __dirname);
 
 // Build paths relative to current module
-const configPath = join(__dirname, '..', 'config', 'settings.json');
+const configPath = join(__dirname, 'config', 'settings.json');
 console.log('Config path:', configPath);
@@ -179,7 +179,9 @@ describe('API Integration Tests', () => {
     // Start mock server
     const { createServer } = await import('node:http');
     server = createServer((req, res) => {
-      res.writeHead(200, { 'Content-Type': 'application/json' });
+      // Closing the connection lets server.close() finish right away
+      // instead of waiting for fetch's kept-alive socket to time out
+      res.writeHead(200, { 'Content-Type': 'application/json', 'Connection': 'close' });
       res.end(JSON.stringify({ status: 'ok' }));
     });
     
@@ -0,0 +1,93 @@
+// Client-side search over the index generated by tools/search.js
+(function () {
+  const input = document.getElementById('search-input');
+  const results = document.getElementById('search-results');
+  if (!input || !results) return;
+
+  // Pages and the index live next to this script, wherever the site is served
+  const basePath = new URL('./', document.currentScript.src).href;
+
+  // The index is only loaded once someone starts searching
+  let loading = null;
+  function loadIndex() {
+    if (window.searchIndex) return Promise.resolve(window.searchIndex);
+    if (!loading) {
+      loading = new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = `${basePath}search-index.js`;
+        script.onload = () => resolve(window.searchIndex);
+        script.onerror = reject;
+        document.head.appendChild(script);
+      });
+    }
+    return loading;
+  }
+
+  function scoreSection(section, page, term) {
+    const identifiers = section.identifiers.toLowerCase().split(' ');
+    let score = 0;
+    if (page.title.toLowerCase().includes(term)) score += 10;
+    if (section.heading && section.heading.toLowerCase().includes(term)) score += 8;
+    if (identifiers.includes(term)) score += 6;
+    else if (identifiers.some(identifier => identifier.startsWith(term))) score += 4;
+    if (section.text.toLowerCase().includes(term)) score += 2;
+    return score;
+  }
+
+  // Every term has to match somewhere for a section to be a result
+  function search(index, query) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const matches = [];
+    for (const section of index.sections) {
+      const page = index.pages[section.page];
+      let total = 0;
+      for (const term of terms) {
+        const score = scoreSection(section, page, term);
+        if (score === 0) {
+          total = 0;
+          break;
+        }
+        total += score;
+      }
+      if (total > 0) matches.push({ section, page, score: total });
+    }
+    return matches.sort((a, b) => b.score - a.score).slice(0, 20);
+  }
+
+  function render(matches) {
+    results.replaceChildren();
+    for (const { section, page } of matches) {
+      const item = document.createElement('li');
+      const link = document.createElement('a');
+      link.href = section.anchor ? `${basePath}${page.url}#${section.anchor}` : `${basePath}${page.url}`;
+      link.textContent = section.heading ? `${page.title}: ${section.heading}` : page.title;
+      const summary = document.createElement('span');
+      summary.textContent = section.text.slice(0, 120);
+      item.append(link, summary);
+      results.appendChild(item);
+    }
+    results.hidden = matches.length === 0;
+  }
+
+  input.addEventListener('focus', loadIndex, { once: true });
+  input.addEventListener('input', async () => {
+    const query = input.value.trim();
+    if (!query) {
+      render([]);
+      return;
+    }
+    render(search(await loadIndex(), query));
+  });
+
+  // Enter follows the best match, Escape clears the search
+  input.addEventListener('keydown', (event) => {
+    event.stopPropagation();
+    if (event.key === 'Enter') {
+      const first = results.querySelector('a');
+      if (first) window.location.href = first.href;
+    } else if (event.key === 'Escape') {
+      input.value = '';
+      render([]);
+    }
+  });
+})();
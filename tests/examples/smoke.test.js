@@ -0,0 +1,80 @@
+/**
+ * Smoke Tests for the examples
+ *
+ * Generates a test for every step of every example in contents.json:
+ * each script must parse and the step's runnable file must exit with
+ * the code the example expects before the timeout.
+ *
+ * What contents.json says about running decides how a step is checked.
+ * Examples marked "run": false, like servers and anything that needs the
+ * network, are only parsed. Steps listed in "notRun" are snippets that
+ * don't stand on their own, so they aren't checked at all.
+ *
+ * Run tests: npm run test:examples
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import path from 'node:path';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'url';
+import { exampleSteps } from '../../tools/compat.js';
+import { runExample, formatOutput } from '../../tools/runner.js';
+import { runnableExtensions } from '../../tools/steps.js';
+import { compareVersions } from '../../tools/versions.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const EXAMPLES_DIR = path.join(__dirname, '..', '..', 'examples');
+const TIMEOUT = 10000;
+
+const contents = JSON.parse(fs.readFileSync(path.join(EXAMPLES_DIR, 'contents.json'), 'utf8'));
+const items = contents.categories.flatMap(category => category.items);
+
+/**
+ * Helper to find how a step is checked, the way the build decides what it runs
+ */
+function modeFor(item, step) {
+  if (item.notRun?.includes(step)) {
+    return { mode: 'skip', reason: 'listed in "notRun" in contents.json' };
+  }
+  if (item.run === false) {
+    return { mode: 'parse-only', reason: 'marked "run": false in contents.json' };
+  }
+  return { mode: 'run' };
+}
+
+/**
+ * Helper to syntax-check a file without running it
+ */
+function checkSyntax(file) {
+  const result = spawnSync(process.execPath, ['--check', file], { encoding: 'utf8', timeout: TIMEOUT });
+  assert.strictEqual(result.status, 0, `${path.relative(EXAMPLES_DIR, file)} does not parse:\n${result.stderr}`);
+}
+
+for (const item of items) {
+  describe(`Smoke Tests - ${item.slug}`, () => {
+    const tooOld = item.node && compareVersions(process.versions.node, item.node) < 0;
+
+    for (const { step, file } of exampleSteps(EXAMPLES_DIR, item)) {
+      const { mode, reason } = modeFor(item, step);
+      const skip = mode === 'skip' ? reason : tooOld ? `needs Node.js ${item.node}` : false;
+      const stepDir = path.dirname(file);
+
+      it(`step ${step} parses`, { skip }, () => {
+        for (const name of fs.readdirSync(stepDir).filter(name => runnableExtensions.includes(path.extname(name)))) {
+          checkSyntax(path.join(stepDir, name));
+        }
+      });
+
+      it(`step ${step} runs`, { skip: skip || (mode === 'parse-only' && reason) }, () => {
+        const result = runExample(file, { timeout: TIMEOUT, allow: item.allow });
+        const expected = item.exitCode ?? 0;
+        assert.ok(!result.timedOut, `timed out after ${TIMEOUT}ms:\n${formatOutput(result)}`);
+        assert.strictEqual(result.status, expected, `exited with ${result.status}, expected ${expected}:\n${formatOutput(result)}`);
+      });
+    }
+  });
+}
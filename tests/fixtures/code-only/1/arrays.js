@@ -15,6 +15,7 @@ const evens = numbers.filter(n => n % 2 === 0);
 console.log(evens); // [2, 4]
 
 
+// @stability release-candidate
 // reduce() combines elements into a single value
 const sum = numbers.reduce((acc, n) => acc + n, 0);
 console.log(sum); // 15
@@ -0,0 +1,6 @@
+// <b>Control characters</b> in output, like colours and the zeros of an
+// unfilled buffer, can't go into XML.
+const buffer = Buffer.alloc(5);
+buffer.write('Hi');
+console.log(`Written: ${buffer.toString()}`);
+console.log('\x1b[32mgreen\x1b[39m');
@@ -0,0 +1,8 @@
+// <b>Repeated Heading</b>
+// Headings that repeat still get their own anchor
+const first = 1;
+
+
+// <b>Repeated Heading</b>
+// The second one is numbered
+const second = 2;
@@ -0,0 +1,6 @@
+// <b>Multiple Files</b>
+// The entry point is named after the step's shell script
+import { Worker } from 'node:worker_threads';
+
+const worker = new Worker(new URL('./worker.mjs', import.meta.url));
+worker.on('message', (message) => console.log(message));
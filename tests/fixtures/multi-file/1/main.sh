@@ -0,0 +1,3 @@
+// Run the entry point
+$ node main.js
+# hello from the worker
@@ -0,0 +1,5 @@
+// <b>Worker Script</b>
+// Supporting files are rendered in their own tab
+import { parentPort } from 'node:worker_threads';
+
+parentPort.postMessage('hello from the worker');
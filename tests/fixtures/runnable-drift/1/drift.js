@@ -0,0 +1,2 @@
+// The recorded output below no longer matches what this prints
+console.log('new output');
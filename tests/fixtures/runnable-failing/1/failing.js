@@ -0,0 +1,4 @@
+// **Failing on purpose**
+// Like a test run with a failing test, this step exits with 1.
+console.log('Checking the answer');
+process.exitCode = 1;
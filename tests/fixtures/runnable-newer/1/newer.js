@@ -0,0 +1,7 @@
+// <b>Newer</b> Node.js releases add modules older ones don't have.
+console.log('Starting');
+
+
+// @node 99.0.0
+// Only a Node.js from the future has this module.
+await import('node:future');
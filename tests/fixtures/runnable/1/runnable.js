@@ -0,0 +1,3 @@
+// <b>Runnable</b> examples have their real output captured
+const greeting = 'Hello from the runner';
+console.log(greeting);
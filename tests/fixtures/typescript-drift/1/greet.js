@@ -0,0 +1,2 @@
+// <b>Greeting</b> is written in JavaScript
+console.log('Hello, TypeScript');
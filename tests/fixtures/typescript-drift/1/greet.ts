@@ -0,0 +1,3 @@
+// <b>Greeting</b> is written in TypeScript, but says something else
+const greeting: string = 'Hi, TypeScript';
+console.log(greeting);
@@ -0,0 +1,7 @@
+// <b>Greeting</b> is written in JavaScript
+function greet(name) {
+  return `Hello, ${name}`;
+}
+
+
+console.log(greet('TypeScript'));
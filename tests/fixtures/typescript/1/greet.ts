@@ -0,0 +1,7 @@
+// <b>Greeting</b> is written in TypeScript
+function greet(name: string): string {
+  return `Hello, ${name}`;
+}
+
+
+console.log(greet('TypeScript'));
@@ -0,0 +1,10 @@
+// <b>Versioned</b> examples declare the Node.js they need.
+// Mentioning node:sqlite or WebSocket in prose doesn't count.
+import { DatabaseSync } from 'node:sqlite';
+
+const db = new DatabaseSync(':memory:');
+
+
+// @node 22.0.0
+// This section needs a newer Node.js than the rest of the example.
+const ws = new WebSocket('wss://example.com');
@@ -8,6 +8,7 @@
  */
 
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { buildSite } from '../../tools/generate.js';
@@ -29,16 +30,20 @@ console.log(`  Fixtures: ${FIXTURES_DIR}`);
 console.log(`  Snapshots: ${SNAPSHOTS_DIR}`);
 console.log(`  Templates: ${TEMPLATES_DIR}`);
 
-// Run the generator with test fixtures, output directly to snapshots
+// Run the generator with test fixtures into a scratch directory
+const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-'));
 buildSite({
-  siteDir: SNAPSHOTS_DIR,
+  siteDir: outputDir,
   templateDir: TEMPLATES_DIR,
   examplesDir: FIXTURES_DIR,
   contentsFile: path.join(FIXTURES_DIR, 'contents.json')
 });
 
-// List generated files
-const generatedFiles = fs.readdirSync(SNAPSHOTS_DIR).filter(f => f.endsWith('.html'));
+// Only the pages and the sitemap are kept as snapshots
+const generatedFiles = fs.readdirSync(outputDir).filter(f => f.endsWith('.html') || f === 'sitemap.xml');
+generatedFiles.forEach(file => fs.copyFileSync(path.join(outputDir, file), path.join(SNAPSHOTS_DIR, file)));
+fs.rmSync(outputDir, { recursive: true, force: true });
+
 console.log('\nSnapshots updated successfully!');
 console.log('Generated files:');
 generatedFiles.forEach(file => console.log(`  - ${file}`));
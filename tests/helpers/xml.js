@@ -0,0 +1,19 @@
+/**
+ * XML Helper
+ *
+ * Parses a document with a conforming XML parser, which rejects what strict
+ * readers reject: bad nesting, undeclared namespace prefixes and characters
+ * XML doesn't allow.
+ *
+ * Returns a list of problems, empty when the document is well-formed.
+ */
+
+import { SaxesParser } from 'saxes';
+
+export function xmlProblems(xml) {
+  const problems = [];
+  const parser = new SaxesParser({ xmlns: true });
+  parser.on('error', error => problems.push(error.message));
+  parser.write(xml).close();
+  return problems;
+}
@@ -13,7 +13,13 @@ import assert from 'node:assert';
 import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'url';
-import { buildSite } from '../../tools/generate.js';
+import Ajv2020 from 'ajv/dist/2020.js';
+import addFormats from 'ajv-formats';
+import { buildSite, renderSingleExamplePage } from '../../tools/generate.js';
+import { typeStrippingFlags } from '../../tools/runner.js';
+import { exampleDates, isoDate } from '../../tools/history.js';
+import { readZip } from '../../tools/zip.js';
+import { xmlProblems } from '../helpers/xml.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -122,6 +128,12 @@ describe('Site Generation - Integration Tests', () => {
       const expected = readFile(path.join(SNAPSHOTS_DIR, 'async-programming.html'));
       assert.strictEqual(actual, expected, 'async-programming.html should match snapshot');
     });
+
+    it('compatibility.html matches snapshot', () => {
+      const actual = readFile(path.join(OUTPUT_DIR, 'compatibility.html'));
+      const expected = readFile(path.join(SNAPSHOTS_DIR, 'compatibility.html'));
+      assert.strictEqual(actual, expected, 'compatibility.html should match snapshot');
+    });
   });
 
   describe('Index Page Structure', () => {
@@ -219,6 +231,11 @@ describe('Site Generation - Integration Tests', () => {
       assert.ok(html.includes('Testing special chars'), 'should have special chars comment');
     });
 
+    it('escapes stray HTML characters in comments', () => {
+      const html = readFile(path.join(OUTPUT_DIR, 'edge-cases.html'));
+      assert.ok(html.includes('Testing special chars: &lt;, &gt;, &amp;'), 'should escape < > & in prose');
+    });
+
     it('escapes HTML entities in code strings', () => {
       const html = readFile(path.join(OUTPUT_DIR, 'edge-cases.html'));
       // Code containing HTML should be escaped in the output
@@ -342,6 +359,854 @@ describe('Site Generation - Integration Tests', () => {
     });
   });
 
+  // ==========================================================================
+  // CONTENTS VALIDATION TESTS
+  // ==========================================================================
+
+  describe('Contents Validation', () => {
+    it('skips entries whose directory does not exist', () => {
+      assert.strictEqual(fileExists(path.join(OUTPUT_DIR, 'missing-dir.html')), false);
+      assert.ok(!readFile(path.join(OUTPUT_DIR, 'index.html')).includes('Missing Directory'));
+    });
+
+    it('fails the build in strict mode', () => {
+      assert.throws(() => buildSite({
+        siteDir: OUTPUT_DIR,
+        templateDir: TEMPLATES_DIR,
+        examplesDir: FIXTURES_DIR,
+        contentsFile: path.join(FIXTURES_DIR, 'invalid-contents.json'),
+        strict: true
+      }), /categories\[0\]\.items\[1\]\.slug "simple-example" is already used/);
+    });
+  });
+
+  // ==========================================================================
+  // SECTION ANCHOR TESTS
+  // ==========================================================================
+
+  describe('Section Anchors', () => {
+    it('gives sections with a heading an id derived from it', () => {
+      const html = readFile(path.join(OUTPUT_DIR, 'async-programming.html'));
+      assert.ok(html.includes('<tr id="callbacks">'), 'should slug the Callbacks heading');
+      assert.ok(html.includes('<tr id="promises">'), 'should slug the Promises heading');
+    });
+
+    it('renders a permalink for each heading', () => {
+      const html = readFile(path.join(OUTPUT_DIR, 'async-programming.html'));
+      assert.ok(html.includes('<a class="permalink" href="#callbacks"'), 'should link to the section');
+    });
+
+    it('de-duplicates repeated headings', () => {
+      const html = readFile(path.join(OUTPUT_DIR, 'edge-cases.html'));
+      assert.ok(html.includes('<tr id="repeated-heading">'), 'first heading keeps the plain slug');
+      assert.ok(html.includes('<tr id="repeated-heading-2">'), 'second heading is numbered');
+    });
+
+    it('lists headings in a table of contents', () => {
+      const html = readFile(path.join(OUTPUT_DIR, 'async-programming.html'));
+      assert.ok(html.includes('<nav id="toc">'), 'should have a table of contents');
+      assert.ok(html.includes('<a href="#callbacks">Callbacks</a>'), 'should link to Callbacks');
+      assert.ok(html.indexOf('href="#callbacks"') < html.indexOf('href="#promises"'), 'should keep page order');
+    });
+
+    it('leaves out the table of contents when there are no headings', () => {
+      const html = readFile(path.join(OUTPUT_DIR, 'simple-example.html'));
+      assert.ok(!html.includes('<nav id="toc">'), 'should not have a table of contents');
+    });
+  });
+
+  // ==========================================================================
+  // SEARCH INDEX TESTS
+  // ==========================================================================
+
+  describe('Search Index', () => {
+    /**
+     * Helper to load the generated index without a browser
+     */
+    function readSearchIndex() {
+      const source = readFile(path.join(OUTPUT_DIR, 'search-index.js'));
+      return JSON.parse(source.replace('window.searchIndex = ', '').replace(/;\n$/, ''));
+    }
+
+    it('generates search-index.js', () => {
+      assert.strictEqual(fileExists(path.join(OUTPUT_DIR, 'search-index.js')), true, 'search-index.js should exist');
+    });
+
+    it('lists every example page with its category', () => {
+      const index = readSearchIndex();
+      assert.deepStrictEqual(index.pages.map(page => page.url),
+        ['simple-example', 'edge-cases', 'code-only', 'async-programming']);
+      assert.strictEqual(index.pages[3].category, 'Advanced');
+    });
+
+    it('links sections to their anchors on the page', () => {
+      const index = readSearchIndex();
+      const section = index.sections.find(s => s.heading === 'Callbacks');
+      assert.ok(section, 'should index the Callbacks section');
+      assert.strictEqual(index.pages[section.page].url, 'async-programming');
+
+      const html = readFile(path.join(OUTPUT_DIR, 'async-programming.html'));
+      assert.ok(html.includes(`<tr id="${section.anchor}">`), 'anchor should exist on the page');
+    });
+
+    it('indexes identifiers from the code', () => {
+      const index = readSearchIndex();
+      assert.ok(index.sections.some(s => s.identifiers.split(' ').includes('fetchData')), 'should index fetchData');
+    });
+
+    it('adds the search box to every page', () => {
+      for (const file of ['index.html', 'simple-example.html']) {
+        const html = readFile(path.join(OUTPUT_DIR, file));
+        assert.ok(html.includes('id="search-input"'), `${file} should have a search box`);
+      }
+    });
+  });
+
+  // ==========================================================================
+  // EXAMPLE RUNNER TESTS
+  // ==========================================================================
+
+  describe('Example Runner', () => {
+    const runConfig = {
+      siteDir: OUTPUT_DIR,
+      templateDir: TEMPLATES_DIR,
+      examplesDir: FIXTURES_DIR,
+      runExamples: true,
+      runTimeout: 5000
+    };
+    const navigation = { next: { slug: '/' }, previous: { slug: '/' } };
+
+    it('renders captured output next to the code', () => {
+      renderSingleExamplePage({ slug: 'runnable', title: 'Runnable', dir: 'runnable', ...navigation }, runConfig);
+      const html = readFile(path.join(OUTPUT_DIR, 'runnable.html'));
+      assert.ok(html.includes('<table class="output">'), 'should have output table');
+      assert.ok(html.includes('Hello from the runner'), 'should include real output');
+    });
+
+    it('does not run examples that opt out', () => {
+      renderSingleExamplePage({ slug: 'runnable-skipped', title: 'Skipped', dir: 'runnable', run: false, ...navigation }, runConfig);
+      const html = readFile(path.join(OUTPUT_DIR, 'runnable-skipped.html'));
+      assert.ok(!html.includes('<table class="output">'), 'should not have output table');
+    });
+
+    it('fails when a step exits with another code than the example expects', () => {
+      assert.throws(
+        () => renderSingleExamplePage({ slug: 'runnable-failing', title: 'Failing', dir: 'runnable-failing', ...navigation }, runConfig),
+        /failing\.js exited with 1 but runnable-failing expects exit code 0/
+      );
+    });
+
+    it('renders the output of steps that fail on purpose', () => {
+      renderSingleExamplePage({ slug: 'runnable-failing', title: 'Failing', dir: 'runnable-failing', exitCode: 1, ...navigation }, runConfig);
+      assert.ok(readFile(path.join(OUTPUT_DIR, 'runnable-failing.html')).includes('Checking the answer'));
+    });
+
+    it('does not run steps on a Node.js older than the example needs', () => {
+      const example = renderSingleExamplePage({ slug: 'runnable-old', title: 'Old', dir: 'runnable', node: '99.0.0', ...navigation }, runConfig);
+      assert.strictEqual(example.steps[0].output, null);
+    });
+
+    it('does not run steps with a section that needs a newer Node.js', () => {
+      const example = renderSingleExamplePage({ slug: 'runnable-newer', title: 'Newer', dir: 'runnable-newer', ...navigation }, runConfig);
+      assert.strictEqual(example.steps[0].output, null);
+    });
+
+    it('does not run steps listed in notRun', () => {
+      const example = renderSingleExamplePage({ slug: 'runnable-failing', title: 'Failing', dir: 'runnable-failing', notRun: ['1'], ...navigation }, runConfig);
+      assert.strictEqual(example.steps[0].output, null);
+      assert.strictEqual(example.steps[0].runnable, false);
+    });
+
+    it('fails when output no longer matches the recorded expectation', () => {
+      assert.throws(
+        () => renderSingleExamplePage({ slug: 'runnable-drift', title: 'Drift', dir: 'runnable-drift', ...navigation }, runConfig),
+        /no longer matches/
+      );
+    });
+  });
+
+  // ==========================================================================
+  // MULTI-FILE STEP TESTS
+  // ==========================================================================
+
+  describe('Multi-File Steps', () => {
+    before(() => {
+      renderSingleExamplePage({
+        slug: 'multi-file',
+        title: 'Multi File',
+        dir: 'multi-file',
+        next: { slug: '/' },
+        previous: { slug: '/' }
+      }, {
+        siteDir: OUTPUT_DIR,
+        templateDir: TEMPLATES_DIR,
+        examplesDir: FIXTURES_DIR
+      });
+    });
+
+    it('renders a tab for every source file in order', () => {
+      const html = readFile(path.join(OUTPUT_DIR, 'multi-file.html'));
+      const tabs = [...html.matchAll(/<button class="tab"[^>]*>([^<]+)<\/button>/g)].map(match => match[1]);
+      assert.deepStrictEqual(tabs, ['main.js', 'config.json', 'worker.mjs']);
+    });
+
+    it('labels each file with its name', () => {
+      const html = readFile(path.join(OUTPUT_DIR, 'multi-file.html'));
+      assert.ok(html.includes('<caption>worker.mjs</caption>'), 'should caption the worker file');
+    });
+
+    it('highlights each file in its own language', () => {
+      const html = readFile(path.join(OUTPUT_DIR, 'multi-file.html'));
+      assert.ok(html.includes('<span class="hljs-attr">&quot;threads&quot;</span>'), 'should highlight JSON keys');
+      assert.ok(html.includes('Supporting files are rendered in their own tab'), 'should render the worker prose');
+    });
+
+    it('renders the shell script after the source files', () => {
+      const html = readFile(path.join(OUTPUT_DIR, 'multi-file.html'));
+      assert.ok(html.indexOf('node main.js') > html.indexOf('hello from the worker'), 'shell should come last');
+    });
+
+    it('leaves out files with unknown extensions', () => {
+      const html = readFile(path.join(OUTPUT_DIR, 'multi-file.html'));
+      assert.ok(!html.includes('notes.txt'), 'should not render notes.txt');
+      assert.ok(!fileExists(path.join(OUTPUT_DIR, 'examples', 'multi-file', '1', 'notes.txt')), 'should not publish notes.txt');
+    });
+
+    it('does not render tabs for single-file steps', () => {
+      const html = readFile(path.join(OUTPUT_DIR, 'simple-example.html'));
+      assert.ok(!html.includes('class="tabs"'), 'should not have tabs');
+    });
+  });
+
+  // ==========================================================================
+  // TYPESCRIPT VARIANT TESTS
+  // ==========================================================================
+
+  describe('TypeScript Variants', () => {
+    const config = {
+      siteDir: OUTPUT_DIR,
+      templateDir: TEMPLATES_DIR,
+      examplesDir: FIXTURES_DIR
+    };
+    const navigation = { next: { slug: '/' }, previous: { slug: '/' } };
+
+    before(() => {
+      renderSingleExamplePage({ slug: 'typescript', title: 'TypeScript', dir: 'typescript', ...navigation }, config);
+    });
+
+    it('renders the variant next to its JavaScript', () => {
+      const html = readFile(path.join(OUTPUT_DIR, 'typescript.html'));
+      assert.ok(html.includes('<table class="variant-javascript">'), 'should mark the JavaScript table');
+      assert.ok(html.includes('<table class="variant-typescript">'), 'should mark the TypeScript table');
+      assert.ok(html.indexOf('written in JavaScript') < html.indexOf('written in TypeScript'), 'JavaScript should come first');
+    });
+
+    it('does not render the variant as a tab', () => {
+      const html = readFile(path.join(OUTPUT_DIR, 'typescript.html'));
+      assert.ok(!html.includes('class="tabs"'), 'should not have tabs');
+    });
+
+    it('keeps anchors and the table of contents to the JavaScript', () => {
+      const html = readFile(path.join(OUTPUT_DIR, 'typescript.html'));
+      assert.strictEqual(html.split('<tr id="greeting">').length, 2, 'should have a single anchor');
+      assert.strictEqual(html.split('href="#greeting">Greeting</a>').length, 2, 'should list the heading once');
+    });
+
+    it('adds the language toggle only to pages with variants', () => {
+      assert.ok(readFile(path.join(OUTPUT_DIR, 'typescript.html')).includes('id="lang-toggle"'), 'should have a toggle');
+      assert.ok(!readFile(path.join(OUTPUT_DIR, 'simple-example.html')).includes('id="lang-toggle"'), 'should not have a toggle');
+    });
+
+    it('checks the variant against the recorded output', { skip: !typeStrippingFlags() && 'this Node.js cannot strip types' }, () => {
+      assert.doesNotThrow(() => renderSingleExamplePage(
+        { slug: 'typescript-run', title: 'TypeScript', dir: 'typescript', ...navigation },
+        { ...config, runExamples: true, runTimeout: 5000 }
+      ));
+    });
+
+    it('fails when the variant prints something else, even without a recording', { skip: !typeStrippingFlags() && 'this Node.js cannot strip types' }, () => {
+      assert.throws(() => renderSingleExamplePage(
+        { slug: 'typescript-drift', title: 'TypeScript', dir: 'typescript-drift', ...navigation },
+        { ...config, runExamples: true, runTimeout: 5000 }
+      ), /Output of .*greet\.ts differs from .*greet\.js/);
+    });
+  });
+
+  // ==========================================================================
+  // COPY AND DOWNLOAD TESTS
+  // ==========================================================================
+
+  describe('Copy and Download', () => {
+    it('publishes each step file unchanged next to the page', () => {
+      const published = path.join(OUTPUT_DIR, 'examples', 'simple-example', '1', 'example.js');
+      assert.strictEqual(
+        readFile(published),
+        readFile(path.join(FIXTURES_DIR, 'simple-example', '1', 'example.js'))
+      );
+    });
+
+    it('publishes shell scripts too', () => {
+      assert.ok(fileExists(path.join(OUTPUT_DIR, 'examples', 'simple-example', '1', 'example.sh')), 'should publish example.sh');
+    });
+
+    it('links every file for download', () => {
+      const html = readFile(path.join(OUTPUT_DIR, 'simple-example.html'));
+      assert.ok(html.includes('<a href="./examples/simple-example/1/example.js" download="example.js">'), 'should link example.js');
+      assert.ok(html.includes('data-src="./examples/simple-example/1/example.sh"'), 'should copy example.sh');
+    });
+
+    it('adds a copy button to every section with code', () => {
+      const html = readFile(path.join(OUTPUT_DIR, 'async-programming.html'));
+      const buttons = html.split('<button class="copy"').length - 1;
+      const codeCells = html.split('<code class="hljs">').length - 1;
+      assert.ok(buttons > 0, 'should have copy buttons');
+      assert.strictEqual(buttons, codeCells);
+    });
+
+    it('says when copying a file fails', () => {
+      const html = readFile(path.join(OUTPUT_DIR, 'simple-example.html'));
+      assert.ok(html.includes('if (!response.ok)'), 'should not copy an error page');
+      assert.ok(html.includes(".then(() => showCopied(button), () => copyFailed(button));"), 'should handle a failed fetch');
+    });
+  });
+
+  // ==========================================================================
+  // FEED TESTS
+  // ==========================================================================
+
+  describe('Feeds', () => {
+    it('generates an Atom and an RSS feed', () => {
+      assert.ok(readFile(path.join(OUTPUT_DIR, 'atom.xml')).includes('<feed xmlns="http://www.w3.org/2005/Atom">'));
+      assert.ok(readFile(path.join(OUTPUT_DIR, 'feed.xml')).includes('<rss version="2.0">'));
+    });
+
+    it('lists every example in the feeds', () => {
+      const feed = readFile(path.join(OUTPUT_DIR, 'atom.xml'));
+      for (const slug of ['simple-example', 'edge-cases', 'code-only', 'async-programming']) {
+        assert.ok(feed.includes(`<id>https://nodejsbyexample.com/${slug}</id>`), `should list ${slug}`);
+      }
+    });
+
+    it('dates sitemap entries from the example history', () => {
+      const sitemap = readFile(path.join(OUTPUT_DIR, 'sitemap.xml'));
+      const { updated } = exampleDates(path.join(FIXTURES_DIR, 'many-sections'));
+      assert.ok(sitemap.includes(`<loc>https://nodejsbyexample.com/async-programming</loc>
+    <lastmod>${isoDate(updated)}</lastmod>`), 'should use the last change');
+    });
+
+    it('links the feeds from every page', () => {
+      const html = readFile(path.join(OUTPUT_DIR, 'simple-example.html'));
+      assert.ok(html.includes('type="application/atom+xml"'), 'should link the Atom feed');
+      assert.ok(html.includes('type="application/rss+xml"'), 'should link the RSS feed');
+    });
+  });
+
+  // ==========================================================================
+  // VERSION BADGE TESTS
+  // ==========================================================================
+
+  describe('Version Badges', () => {
+    it('shows the minimum version and stability of a page', () => {
+      const html = readFile(path.join(OUTPUT_DIR, 'code-only.html'));
+      assert.ok(html.includes('<p class="page-badges">'), 'should have page badges');
+      assert.ok(html.includes('Node.js 20+</span>'), 'should shorten the version');
+      assert.ok(html.includes('<span class="badge badge-experimental"'), 'should show the stability');
+    });
+
+    it('shows badges on the index', () => {
+      const html = readFile(path.join(OUTPUT_DIR, 'index.html'));
+      assert.ok(html.includes('<a href="code-only">Code Only</a><span class="badges">'), 'should badge code-only');
+    });
+
+    it('shows badges declared by a section', () => {
+      const html = readFile(path.join(OUTPUT_DIR, 'code-only.html'));
+      assert.ok(html.includes('<span class="badge badge-release-candidate"'), 'should badge the section');
+      assert.ok(!html.includes('@stability'), 'should remove the directive from the prose');
+    });
+
+    it('leaves out badges when nothing is declared', () => {
+      const html = readFile(path.join(OUTPUT_DIR, 'simple-example.html'));
+      assert.ok(!html.includes('class="badges"'), 'should not have badges');
+    });
+  });
+
+  // ==========================================================================
+  // COMPATIBILITY PAGE TESTS
+  // ==========================================================================
+
+  describe('Compatibility Page', () => {
+    it('renders the recorded matrix', () => {
+      const html = readFile(path.join(OUTPUT_DIR, 'compatibility.html'));
+      assert.ok(html.includes('<th title="Tested with 22.20.0">Node.js 22</th>'), 'should have a column per release line');
+      assert.ok(!html.includes('Node.js 16</th>'), 'should leave out release lines nothing ran on');
+    });
+
+    it('shows failing steps', () => {
+      const html = readFile(path.join(OUTPUT_DIR, 'compatibility.html'));
+      assert.ok(html.includes('<td class="status-failed" title="Fails in step 2">failed</td>'), 'should mark the failure');
+    });
+
+    it('links to it from the index', () => {
+      const html = readFile(path.join(OUTPUT_DIR, 'index.html'));
+      assert.ok(html.includes('<a href="compatibility">compatibility table</a>'), 'should link the page');
+    });
+  });
+
+  // ==========================================================================
+  // THEME TESTS
+  // ==========================================================================
+
+  describe('Themes', () => {
+    it('writes the highlight theme stylesheet', () => {
+      const css = readFile(path.join(OUTPUT_DIR, 'highlight.css'));
+      assert.ok(css.includes('html:not([data-theme="dark"]) .hljs{'), 'should scope the light theme');
+      assert.ok(css.includes('html[data-theme="dark"] .hljs{'), 'should scope the dark theme');
+    });
+
+    it('sets the theme before the stylesheets load', () => {
+      const html = readFile(path.join(OUTPUT_DIR, 'simple-example.html'));
+      const script = html.indexOf('document.documentElement.dataset.theme');
+      assert.ok(script !== -1, 'should have the theme script');
+      assert.ok(script < html.indexOf('href="./styles.css"'), 'should run before the stylesheet');
+      assert.ok(html.includes('href="./highlight.css"'), 'should link the highlight theme');
+    });
+
+    it('adds the theme toggle to every page', () => {
+      for (const file of ['index.html', 'simple-example.html']) {
+        assert.ok(readFile(path.join(OUTPUT_DIR, file)).includes('id="theme-toggle"'), `${file} should have a toggle`);
+      }
+    });
+
+    it('rejects unknown highlight themes', () => {
+      assert.throws(() => buildSite({
+        siteDir: OUTPUT_DIR,
+        templateDir: TEMPLATES_DIR,
+        examplesDir: FIXTURES_DIR,
+        contentsFile: path.join(FIXTURES_DIR, 'contents.json'),
+        highlightThemes: { dark: 'not-a-theme' }
+      }), /Unknown highlight.js theme "not-a-theme"/);
+    });
+  });
+
+  // ==========================================================================
+  // OFFLINE TESTS
+  // ==========================================================================
+
+  describe('Offline', () => {
+    it('precaches every page and asset', () => {
+      const worker = readFile(path.join(OUTPUT_DIR, 'sw.js'));
+      for (const file of ['index.html', 'simple-example.html', 'compatibility.html', 'highlight.css', 'search-index.js']) {
+        assert.ok(worker.includes(`"./${file}"`), `should precache ${file}`);
+      }
+      assert.ok(worker.includes('"./examples/simple-example/1/'), 'should precache the step files');
+      assert.ok(!worker.includes('"./sitemap.xml"'), 'should leave out the sitemap');
+    });
+
+    it('writes the web app manifest and links it', () => {
+      const manifest = JSON.parse(readFile(path.join(OUTPUT_DIR, 'manifest.webmanifest')));
+      assert.strictEqual(manifest.start_url, './');
+      const html = readFile(path.join(OUTPUT_DIR, 'simple-example.html'));
+      assert.ok(html.includes('<link rel="manifest" href="./manifest.webmanifest">'), 'should link the manifest');
+      assert.ok(html.includes("navigator.serviceWorker.register('./sw.js')"), 'should register the worker');
+    });
+
+    it('leaves the worker out when offline support is off', () => {
+      const siteDir = path.join(OUTPUT_DIR, 'online');
+      fs.mkdirSync(siteDir);
+      fs.writeFileSync(path.join(siteDir, 'sw.js'), '// from an earlier build');
+      buildSite({
+        siteDir,
+        templateDir: TEMPLATES_DIR,
+        examplesDir: FIXTURES_DIR,
+        contentsFile: path.join(FIXTURES_DIR, 'contents.json'),
+        offline: false
+      });
+      assert.strictEqual(fileExists(path.join(siteDir, 'sw.js')), false, 'should remove the old worker');
+      const html = readFile(path.join(siteDir, 'simple-example.html'));
+      assert.ok(!html.includes('rel="manifest"'), 'should not link the manifest');
+      assert.ok(html.includes('registration.unregister()'), 'should unregister an earlier worker');
+    });
+  });
+
+  // ==========================================================================
+  // BOOK TESTS
+  // ==========================================================================
+
+  describe('Book', () => {
+    const siteDir = path.join(OUTPUT_DIR, 'book');
+
+    before(() => {
+      fs.mkdirSync(siteDir);
+      buildSite({
+        siteDir,
+        templateDir: TEMPLATES_DIR,
+        examplesDir: FIXTURES_DIR,
+        contentsFile: path.join(FIXTURES_DIR, 'contents.json'),
+        book: true
+      });
+    });
+
+    it('puts every example on one page in contents.json order', () => {
+      const html = readFile(path.join(siteDir, 'book.html'));
+      const chapters = [...html.matchAll(/<section class="chapter" id="([^"]+)">/g)].map(match => match[1]);
+      assert.deepStrictEqual(chapters.slice(0, 2), ['simple-example', 'edge-cases']);
+      assert.ok(chapters.includes('async-programming'), 'should include every example');
+    });
+
+    it('renders steps the same way as the example pages', () => {
+      const book = readFile(path.join(siteDir, 'book.html'));
+      const page = readFile(path.join(siteDir, 'simple-example.html'));
+      const code = page.match(/<code class="hljs">[\s\S]*?<\/code>/)[0];
+      assert.ok(book.includes(code), 'should include the highlighted code of the page');
+    });
+
+    it('lists chapters and their sections in the table of contents', () => {
+      const html = readFile(path.join(siteDir, 'book.html'));
+      assert.ok(html.includes('<nav id="book-toc">'), 'should have a table of contents');
+      assert.ok(html.includes('<a href="#simple-example">'), 'should link each chapter');
+    });
+
+    it('keeps section anchors unique across examples', () => {
+      const html = readFile(path.join(siteDir, 'book.html'));
+      const ids = [...html.matchAll(/ id="([^"]+)"/g)].map(match => match[1]);
+      assert.strictEqual(new Set(ids).size, ids.length, 'should not repeat an id');
+    });
+
+    it('links to the book from the index', () => {
+      assert.ok(readFile(path.join(siteDir, 'index.html')).includes('<a href="book">printable page</a>'));
+    });
+  });
+
+  // ==========================================================================
+  // EPUB TESTS
+  // ==========================================================================
+
+  describe('EPUB', () => {
+    const siteDir = path.join(OUTPUT_DIR, 'epub');
+    let buffer;
+    let entries;
+    const entry = (name) => entries.find(other => other.name === name)?.data.toString();
+
+    before(() => {
+      fs.mkdirSync(siteDir);
+      buildSite({
+        siteDir,
+        templateDir: TEMPLATES_DIR,
+        examplesDir: FIXTURES_DIR,
+        contentsFile: path.join(FIXTURES_DIR, 'contents.json'),
+        epub: true
+      });
+      buffer = fs.readFileSync(path.join(siteDir, 'nodejs-by-example.epub'));
+      entries = readZip(buffer);
+    });
+
+    it('starts with the uncompressed mimetype', () => {
+      assert.strictEqual(entries[0].name, 'mimetype');
+      assert.strictEqual(entries[0].offset, 0);
+      assert.strictEqual(entries[0].method, 0);
+      assert.strictEqual(buffer.toString('latin1', 30, 38), 'mimetype', 'should be the first local file');
+      assert.strictEqual(buffer.toString('latin1', 38, 58), 'application/epub+zip');
+    });
+
+    it('points container.xml at the package document', () => {
+      const [, opfPath] = entry('META-INF/container.xml').match(/full-path="([^"]+)"/);
+      assert.strictEqual(opfPath, 'OEBPS/package.opf');
+      assert.ok(entry(opfPath), 'should contain the package document');
+    });
+
+    it('lists exactly the files it contains in the manifest', () => {
+      const opf = entry('OEBPS/package.opf');
+      const items = [...opf.matchAll(/<item id="([^"]+)" href="([^"]+)"/g)];
+      const hrefs = items.map(([, , href]) => `OEBPS/${href}`).sort();
+      const files = entries.map(other => other.name).filter(name => name.startsWith('OEBPS/') && name !== 'OEBPS/package.opf').sort();
+      assert.deepStrictEqual(hrefs, files);
+
+      const ids = items.map(([, id]) => id);
+      for (const [, idref] of opf.matchAll(/<itemref idref="([^"]+)"/g)) {
+        assert.ok(ids.includes(idref), `spine entry ${idref} should be in the manifest`);
+      }
+      assert.ok(opf.includes('properties="nav"'), 'should mark the navigation document');
+    });
+
+    it('has a chapter per example in contents.json order', () => {
+      const spine = [...entry('OEBPS/package.opf').matchAll(/<itemref idref="chapter-([^"]+)"/g)].map(([, slug]) => slug);
+      assert.deepStrictEqual(spine, ['simple-example', 'edge-cases', 'code-only', 'async-programming']);
+      assert.ok(entry('OEBPS/nav.xhtml').includes('<a href="simple-example.xhtml">Simple Example</a>'), 'should link each chapter');
+    });
+
+    it('highlights code and embeds the styles', () => {
+      assert.ok(entry('OEBPS/simple-example.xhtml').includes('<span class="hljs-'), 'should highlight code');
+      assert.ok(entry('OEBPS/styles.css').includes('.hljs'), 'should include the highlight theme');
+    });
+
+    it('writes well-formed XML for every document', () => {
+      for (const { name, data } of entries.filter(other => /\.(xhtml|opf|xml)$/.test(other.name))) {
+        assert.deepStrictEqual(xmlProblems(data.toString()), [], `${name} should be well-formed`);
+      }
+    });
+
+    it('leaves control characters in the output out of the chapters', () => {
+      const contentsFile = path.join(siteDir, 'control-contents.json');
+      fs.writeFileSync(contentsFile, JSON.stringify({ categories: [{ name: 'Output', items: [
+        { slug: 'control-characters', title: 'Control Characters', dir: 'control-characters', description: 'Prints control characters' }
+      ] }] }));
+      const controlDir = path.join(siteDir, 'control');
+      fs.mkdirSync(controlDir);
+      buildSite({
+        siteDir: controlDir,
+        templateDir: TEMPLATES_DIR,
+        examplesDir: FIXTURES_DIR,
+        contentsFile,
+        runExamples: true,
+        epub: true
+      });
+      const chapter = readZip(fs.readFileSync(path.join(controlDir, 'nodejs-by-example.epub')))
+        .find(other => other.name === 'OEBPS/control-characters.xhtml').data.toString();
+      assert.deepStrictEqual(xmlProblems(chapter), []);
+      assert.ok(chapter.includes('Written: Hi'), 'should keep the printable output');
+      assert.ok(chapter.includes('green'), 'should keep coloured text without its colour codes');
+    });
+
+    it('writes XHTML without links to the site', () => {
+      for (const { name, data } of entries.filter(other => other.name.endsWith('.xhtml'))) {
+        const xhtml = data.toString();
+        assert.ok(!xhtml.includes('download='), `${name} should not link to step files`);
+        assert.ok(!xhtml.includes('<script'), `${name} should not have scripts`);
+      }
+    });
+  });
+
+  // ==========================================================================
+  // JSON API TESTS
+  // ==========================================================================
+
+  describe('JSON API', () => {
+    const apiDir = path.join(OUTPUT_DIR, 'api');
+    const readJson = (file) => JSON.parse(readFile(path.join(apiDir, file)));
+    // Strict mode also fails on keywords the schemas misspell or Ajv doesn't know
+    const ajv = addFormats(new Ajv2020({ allErrors: true, strict: true }));
+    let validateIndex;
+    let validateExample;
+
+    before(() => {
+      validateIndex = ajv.compile(readJson('index.schema.json'));
+      validateExample = ajv.compile(readJson('example.schema.json'));
+    });
+
+    it('publishes the schemas next to the documents', () => {
+      assert.deepStrictEqual(readJson('index.schema.json'), JSON.parse(readFile(path.join(TEMPLATES_DIR, 'api', 'index.schema.json'))));
+      assert.ok(fileExists(path.join(apiDir, 'example.schema.json')), 'should publish the example schema');
+    });
+
+    it('matches the index schema', () => {
+      assert.ok(validateIndex(readJson('index.json')), ajv.errorsText(validateIndex.errors));
+    });
+
+    it('matches the example schema for every example', () => {
+      for (const slug of ['simple-example', 'edge-cases', 'code-only', 'async-programming']) {
+        assert.ok(validateExample(readJson(`${slug}.json`)), `${slug}.json: ${ajv.errorsText(validateExample.errors)}`);
+      }
+    });
+
+    it('lists the category tree in order', () => {
+      const index = readJson('index.json');
+      assert.deepStrictEqual(index.categories.map(category => category.name), ['Getting Started', 'Advanced']);
+      assert.deepStrictEqual(index.categories[1].examples.map(example => example.slug), ['code-only', 'async-programming']);
+      assert.strictEqual(index.categories[1].examples[0].api, 'https://nodejsbyexample.com/api/code-only.json');
+    });
+
+    it('keeps raw prose and code next to the highlighted code', () => {
+      const example = readJson('simple-example.json');
+      const [section] = example.steps[0].files[0].sections;
+      assert.strictEqual(section.comment.trim(), 'This is a <b>simple</b> example demonstrating basic JavaScript');
+      assert.ok(section.code.startsWith("function hello() {\n  return 'Hello World!';"), 'should keep the code as written');
+      assert.ok(section.html.includes('<span class="hljs-keyword">function</span>'), 'should highlight the code');
+      assert.deepStrictEqual(example.steps[0].scripts.map(script => script.name), ['example.sh']);
+    });
+
+    it('carries the example metadata', () => {
+      const example = readJson('code-only.json');
+      assert.strictEqual(example.node, '20.0.0');
+      assert.strictEqual(example.stability, 'experimental');
+      assert.strictEqual(example.category, 'Advanced');
+      assert.strictEqual(example.previous, 'edge-cases');
+      assert.strictEqual(readJson('async-programming.json').next, null);
+    });
+
+    it('catches documents that break the schema', () => {
+      const example = { ...readJson('code-only.json'), stability: 'beta' };
+      delete example.steps;
+      assert.strictEqual(validateExample(example), false);
+      const problems = validateExample.errors.map(error => `${error.instancePath} ${error.keyword}`);
+      assert.ok(problems.includes(' required'), 'should miss the steps');
+      assert.ok(problems.includes('/stability enum'), 'should reject the stability');
+    });
+
+    it('is not precached for offline reading', () => {
+      assert.ok(!readFile(path.join(OUTPUT_DIR, 'sw.js')).includes('./api/'));
+    });
+  });
+
+  // ==========================================================================
+  // BASE URL AND PATH TESTS
+  // ==========================================================================
+
+  describe('Base URL and Path', () => {
+    let siteDir;
+
+    before(() => {
+      siteDir = path.join(OUTPUT_DIR, 'mirror');
+      fs.mkdirSync(siteDir);
+      buildSite({
+        siteDir,
+        templateDir: TEMPLATES_DIR,
+        examplesDir: FIXTURES_DIR,
+        contentsFile: path.join(FIXTURES_DIR, 'contents.json'),
+        baseUrl: 'https://docs.example.com',
+        basePath: 'learn/node'
+      });
+    });
+
+    it('uses both for canonical and Open Graph URLs', () => {
+      const html = readFile(path.join(siteDir, 'edge-cases.html'));
+      assert.ok(html.includes('<link rel="canonical" href="https://docs.example.com/learn/node/edge-cases">'));
+      assert.ok(html.includes('<meta property="og:url" content="https://docs.example.com/learn/node/edge-cases">'));
+      const index = readFile(path.join(siteDir, 'index.html'));
+      assert.ok(index.includes('<link rel="canonical" href="https://docs.example.com/learn/node/">'));
+    });
+
+    it('uses both in the sitemap and feeds', () => {
+      const sitemap = readFile(path.join(siteDir, 'sitemap.xml'));
+      assert.ok(sitemap.includes('<loc>https://docs.example.com/learn/node/</loc>'));
+      assert.ok(sitemap.includes('<loc>https://docs.example.com/learn/node/code-only</loc>'));
+      assert.ok(!sitemap.includes('nodejsbyexample.com'), 'should not link the public site');
+      const feed = readFile(path.join(siteDir, 'atom.xml'));
+      assert.ok(feed.includes('<link rel="self" href="https://docs.example.com/learn/node/atom.xml"/>'));
+    });
+
+    it('prefixes stylesheets, scripts and links between pages with the path', () => {
+      const html = readFile(path.join(siteDir, 'edge-cases.html'));
+      assert.ok(html.includes('<link rel="stylesheet" href="/learn/node/styles.css">'));
+      assert.ok(html.includes('<script src="/learn/node/search.js" defer></script>'));
+      assert.ok(html.includes('<a href="/learn/node/">NodeJS by Example: Edge Cases</a>'), 'should link the index');
+      assert.ok(html.includes("previous: '/learn/node/simple-example'"), 'should navigate to the previous example');
+      assert.ok(html.includes("next: '/learn/node/code-only'"), 'should navigate to the next example');
+      assert.ok(html.includes("navigator.serviceWorker.register('/learn/node/sw.js')"), 'should scope the worker to the path');
+      const index = readFile(path.join(siteDir, 'index.html'));
+      assert.ok(index.includes('<a href="/learn/node/async-programming">Async Programming</a>'), 'should link each example');
+    });
+
+    it('takes the path from the base URL when none is given', () => {
+      const otherDir = path.join(OUTPUT_DIR, 'mirror-url');
+      fs.mkdirSync(otherDir);
+      buildSite({
+        siteDir: otherDir,
+        templateDir: TEMPLATES_DIR,
+        examplesDir: FIXTURES_DIR,
+        contentsFile: path.join(FIXTURES_DIR, 'contents.json'),
+        baseUrl: 'https://docs.example.com/learn/node/'
+      });
+      const html = readFile(path.join(otherDir, 'code-only.html'));
+      assert.ok(html.includes('<link rel="canonical" href="https://docs.example.com/learn/node/code-only">'));
+      assert.ok(html.includes('<link rel="stylesheet" href="/learn/node/styles.css">'));
+    });
+  });
+
+  // ==========================================================================
+  // MARKDOWN EXPORT TESTS
+  // ==========================================================================
+
+  describe('Markdown Export', () => {
+    const siteDir = path.join(OUTPUT_DIR, 'markdown');
+
+    before(() => {
+      fs.mkdirSync(siteDir);
+      buildSite({
+        siteDir,
+        templateDir: TEMPLATES_DIR,
+        examplesDir: FIXTURES_DIR,
+        contentsFile: path.join(FIXTURES_DIR, 'contents.json'),
+        markdown: true
+      });
+    });
+
+    it('is only written when asked for', () => {
+      assert.ok(!fileExists(path.join(OUTPUT_DIR, 'simple-example.md')), 'the default build should not write it');
+      assert.ok(!fileExists(path.join(OUTPUT_DIR, 'llms.txt')), 'the default build should not write llms.txt');
+    });
+
+    it('writes a file per example with prose and fenced code', () => {
+      const markdown = readFile(path.join(siteDir, 'simple-example.md'));
+      assert.ok(markdown.startsWith('# Simple Example\n'), 'should start with the title');
+      assert.ok(markdown.includes('This is a <b>simple</b> example demonstrating basic JavaScript\n'), 'should keep the prose');
+      assert.ok(markdown.includes("```js\nfunction hello() {\n  return 'Hello World!';\n}\n```\n"), 'should fence the code');
+      assert.ok(markdown.includes('## `example.sh`\n'), 'should include the shell script');
+      assert.ok(markdown.includes('```sh\n'), 'should fence the shell script');
+    });
+
+    it('carries the version and stability', () => {
+      assert.ok(readFile(path.join(siteDir, 'code-only.md')).includes('> Needs Node.js 20.0.0 or later. Stability: experimental.\n'));
+    });
+
+    it('puts every example in all.md under its category', () => {
+      const all = readFile(path.join(siteDir, 'all.md'));
+      assert.ok(all.indexOf('## Getting Started') < all.indexOf('### Simple Example'));
+      assert.ok(all.indexOf('## Advanced') < all.indexOf('### Async Programming'));
+      assert.ok(all.includes("```js\nfunction hello() {\n"), 'should include the code');
+    });
+
+    it('links every example from llms.txt', () => {
+      const llms = readFile(path.join(siteDir, 'llms.txt'));
+      for (const slug of ['simple-example', 'edge-cases', 'code-only', 'async-programming']) {
+        assert.ok(llms.includes(`(https://nodejsbyexample.com/${slug}.md)`), `should link ${slug}.md`);
+      }
+    });
+
+    it('is not precached for offline reading', () => {
+      const worker = readFile(path.join(siteDir, 'sw.js'));
+      assert.ok(!worker.includes('.md"') && !worker.includes('llms.txt'));
+    });
+  });
+
+  // ==========================================================================
+  // RUN BUTTON TESTS
+  // ==========================================================================
+
+  describe('Run Buttons and Editing', () => {
+    it('leaves them and editing out of the static build', () => {
+      const html = readFile(path.join(OUTPUT_DIR, 'simple-example.html'));
+      assert.ok(!html.includes('class="run"'), 'should not have run buttons');
+      assert.ok(!html.includes('data-section'), 'should not mark sections for editing');
+      assert.ok(!html.includes('contentEditable'), 'should not have the editing script');
+    });
+
+    it('adds one per runnable step for the dev server', () => {
+      const siteDir = path.join(OUTPUT_DIR, 'run-buttons');
+      fs.mkdirSync(siteDir);
+      buildSite({
+        siteDir,
+        templateDir: TEMPLATES_DIR,
+        examplesDir: FIXTURES_DIR,
+        contentsFile: path.join(FIXTURES_DIR, 'contents.json'),
+        runButtons: true
+      });
+      const html = readFile(path.join(siteDir, 'simple-example.html'));
+      assert.ok(html.includes('<button class="run" type="button" data-src="/run/simple-example/1">Run step 1</button>'));
+      assert.ok(html.includes("method: 'POST'"), 'should send edits with the run');
+      assert.ok(html.includes('<table data-step="1" data-file="example.js">'), 'should mark the file for editing');
+      assert.ok(html.includes('<tr data-section="0">'), 'should number the sections');
+    });
+
+    it('leaves them out of examples that must not run', () => {
+      const siteDir = path.join(OUTPUT_DIR, 'run-buttons');
+      renderSingleExamplePage(
+        { slug: 'no-run', title: 'No Run', dir: 'simple-example', run: false, next: { slug: '/' }, previous: { slug: '/' } },
+        { siteDir, templateDir: TEMPLATES_DIR, examplesDir: FIXTURES_DIR, runButtons: true }
+      );
+      assert.ok(!readFile(path.join(siteDir, 'no-run.html')).includes('class="run"'));
+    });
+  });
+
   // ==========================================================================
   // COMPREHENSIVE OUTPUT VERIFICATION
   // ==========================================================================
@@ -382,6 +1247,13 @@ describe('Site Generation - Integration Tests', () => {
       }
     });
 
+    it('leaves arrow keys alone while editing or with a modifier held', () => {
+      const html = readFile(path.join(OUTPUT_DIR, 'simple-example.html'));
+      assert.ok(html.includes('target.isContentEditable'), 'should ignore editable code');
+      assert.ok(html.includes("['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)"), 'should ignore form fields');
+      assert.ok(html.includes('event.altKey || event.ctrlKey || event.metaKey || event.shiftKey'), 'should ignore modifiers');
+    });
+
     it('all content pages link back to index', () => {
       const files = ['simple-example.html', 
                      'edge-cases.html', 'code-only.html', 'async-programming.html'];
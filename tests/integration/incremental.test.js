@@ -0,0 +1,164 @@
+/**
+ * Integration Tests for incremental builds
+ *
+ * Builds the fixtures twice with a build cache and checks that only the
+ * pages affected by a change are regenerated.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'url';
+import { buildSite } from '../../tools/generate.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+const TEMPLATES_DIR = path.join(__dirname, '..', '..', 'templates');
+
+describe('Incremental Builds - Integration Tests', () => {
+  let workDir;
+  let config;
+
+  before(() => {
+    // Work on copies so the fixtures and templates can be edited
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'incremental-test-'));
+    fs.cpSync(FIXTURES_DIR, path.join(workDir, 'examples'), { recursive: true });
+    fs.cpSync(TEMPLATES_DIR, path.join(workDir, 'templates'), { recursive: true });
+    fs.mkdirSync(path.join(workDir, 'public'));
+
+    config = {
+      siteDir: path.join(workDir, 'public'),
+      templateDir: path.join(workDir, 'templates'),
+      examplesDir: path.join(workDir, 'examples'),
+      contentsFile: path.join(workDir, 'examples', 'contents.json'),
+      cacheFile: path.join(workDir, '.cache', 'build-cache.json')
+    };
+  });
+
+  after(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('builds every page the first time', () => {
+    const { rebuilt } = buildSite(config);
+    assert.deepStrictEqual(rebuilt, ['index', 'simple-example', 'edge-cases', 'code-only', 'async-programming']);
+  });
+
+  it('skips every page when nothing changed', () => {
+    const { rebuilt, skipped } = buildSite(config);
+    assert.deepStrictEqual(rebuilt, []);
+    assert.strictEqual(skipped, 5);
+  });
+
+  it('rebuilds only the example whose files changed', () => {
+    const file = path.join(workDir, 'examples', 'code-only', '1', 'arrays.js');
+    fs.appendFileSync(file, '\n\n\n// Added later\nconsole.log(numbers);\n');
+
+    const { rebuilt } = buildSite(config);
+    assert.deepStrictEqual(rebuilt, ['code-only']);
+    assert.ok(fs.readFileSync(path.join(config.siteDir, 'code-only.html'), 'utf8').includes('Added later'));
+  });
+
+  it('rebuilds neighbours and the index when an example is renamed', () => {
+    const contents = JSON.parse(fs.readFileSync(config.contentsFile, 'utf8'));
+    contents.categories[0].items[1].slug = 'edge-cases-renamed';
+    fs.writeFileSync(config.contentsFile, JSON.stringify(contents));
+
+    const { rebuilt } = buildSite(config);
+    assert.deepStrictEqual(rebuilt, ['index', 'simple-example', 'edge-cases-renamed', 'code-only']);
+  });
+
+  it('rebuilds a page whose output was deleted', () => {
+    fs.rmSync(path.join(config.siteDir, 'async-programming.html'));
+
+    const { rebuilt } = buildSite(config);
+    assert.deepStrictEqual(rebuilt, ['async-programming']);
+  });
+
+  it('rebuilds everything when a template changes', () => {
+    fs.appendFileSync(path.join(config.templateDir, 'footer.pug'), '\n//- changed\n');
+
+    const { rebuilt } = buildSite(config);
+    assert.strictEqual(rebuilt.length, 5);
+  });
+
+  it('rebuilds everything when a rendering option changes', () => {
+    assert.strictEqual(buildSite({ ...config, legacyHtml: false }).rebuilt.length, 5);
+    const themes = { light: 'github', dark: 'github-dark' };
+    assert.strictEqual(buildSite({ ...config, legacyHtml: false, highlightThemes: themes }).rebuilt.length, 5);
+    assert.deepStrictEqual(buildSite({ ...config, legacyHtml: false, highlightThemes: themes }).rebuilt, []);
+  });
+
+  it('rebuilds pages and step files another build wrote over', () => {
+    buildSite(config);
+    assert.deepStrictEqual(buildSite(config).rebuilt, []);
+    buildSite({ ...config, cacheFile: null, basePath: '/learn/node/' });
+    const stepFile = path.join(config.siteDir, 'examples', 'code-only', '1', 'arrays.js');
+    fs.writeFileSync(stepFile, '// Not the example\n');
+
+    const { rebuilt } = buildSite(config);
+    assert.strictEqual(rebuilt.length, 5);
+    assert.ok(!fs.readFileSync(path.join(config.siteDir, 'code-only.html'), 'utf8').includes('/learn/node/'), 'should link relatively again');
+    assert.ok(fs.readFileSync(stepFile, 'utf8').includes('Added later'), 'should copy the step file again');
+    assert.deepStrictEqual(buildSite(config).rebuilt, []);
+  });
+
+  it('keeps every page in the search index', () => {
+    buildSite(config);
+    const source = fs.readFileSync(path.join(config.siteDir, 'search-index.js'), 'utf8');
+    assert.ok(source.includes('"url":"async-programming"'), 'should keep skipped pages');
+    assert.ok(source.includes('"heading":"Callbacks"'), 'should keep sections of skipped pages');
+  });
+
+  it('removes pages of removed examples and rebuilds everything with clean', () => {
+    assert.ok(fs.existsSync(path.join(config.siteDir, 'edge-cases.html')), 'should keep the page from before the rename');
+
+    const { rebuilt } = buildSite({ ...config, clean: true });
+    assert.strictEqual(rebuilt.length, 5);
+    assert.ok(!fs.existsSync(path.join(config.siteDir, 'edge-cases.html')));
+    assert.ok(fs.existsSync(path.join(config.siteDir, 'edge-cases-renamed.html')));
+  });
+
+  it('refuses to write the site over its sources', () => {
+    assert.throws(() => buildSite({ ...config, siteDir: workDir, clean: true }), /can't be written to .* as it holds/);
+    assert.ok(fs.existsSync(config.contentsFile), 'should keep the examples');
+  });
+
+  it('leaves files no build wrote alone when cleaning', () => {
+    const own = {
+      'README.md': '# Notes',
+      'notes.html': '<p>Mine</p>',
+      'examples/notes/1/notes.js': 'console.log("mine");'
+    };
+    for (const [name, text] of Object.entries(own)) {
+      fs.mkdirSync(path.dirname(path.join(config.siteDir, name)), { recursive: true });
+      fs.writeFileSync(path.join(config.siteDir, name), text);
+    }
+
+    buildSite({ ...config, clean: true });
+    buildSite({ ...config, clean: true });
+    for (const [name, text] of Object.entries(own)) {
+      assert.strictEqual(fs.readFileSync(path.join(config.siteDir, name), 'utf8'), text, `should keep ${name}`);
+    }
+    assert.ok(fs.existsSync(path.join(config.siteDir, 'code-only.html')), 'should build the site again');
+  });
+
+  it('only writes the pages asked for and keeps the rest of the site whole', () => {
+    fs.appendFileSync(path.join(config.templateDir, 'footer.pug'), '\n//- changed again\n');
+    const { rebuilt } = buildSite({ ...config, only: ['code-only'] });
+    assert.deepStrictEqual(rebuilt, ['index', 'code-only']);
+
+    const page = fs.readFileSync(path.join(config.siteDir, 'code-only.html'), 'utf8');
+    assert.ok(page.includes("previous: 'edge-cases-renamed'"), 'should link the previous example');
+    assert.ok(page.includes("next: 'async-programming'"), 'should link the next example');
+    const index = fs.readFileSync(path.join(config.siteDir, 'index.html'), 'utf8');
+    assert.ok(index.includes('href="simple-example"'), 'should list every example');
+    const sitemap = fs.readFileSync(path.join(config.siteDir, 'sitemap.xml'), 'utf8');
+    assert.strictEqual(sitemap.match(/<loc>/g).length, 5);
+    assert.ok(fs.existsSync(path.join(config.siteDir, 'api', 'simple-example.json')), 'should keep the whole API');
+  });
+});
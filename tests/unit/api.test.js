@@ -0,0 +1,88 @@
+/**
+ * Unit Tests for the JSON API
+ *
+ * Tests how the site model becomes the documents under api/.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { buildApiExample, buildApiIndex } from '../../tools/api.js';
+
+const baseUrl = 'https://example.com';
+
+/**
+ * Helper to build a model example with one step and one section
+ */
+function example(slug, overrides = {}) {
+  const section = { heading: 'Intro', slug: 'intro', anchor: 'intro', comment: ' Intro\n', source: 'run();', code: '<span>run</span>();', node: null, stability: null };
+  return {
+    slug,
+    title: slug,
+    category: 'Basics',
+    added: new Date('2024-01-01T00:00:00Z'),
+    updated: new Date('2024-02-01T00:00:00Z'),
+    previous: '/',
+    next: '/',
+    steps: [{
+      step: '1',
+      runnable: true,
+      files: [{ name: 'a.js', lang: 'javascript', url: `examples/${slug}/1/a.js`, sections: [section], variant: null }],
+      scripts: [],
+      output: 'ran\n',
+    }],
+    ...overrides,
+  };
+}
+
+describe('buildApiExample() - Unit Tests', () => {
+  it('keeps raw and highlighted code for every section', () => {
+    const [section] = buildApiExample(example('timers'), baseUrl).steps[0].files[0].sections;
+    assert.deepStrictEqual(section, {
+      heading: 'Intro',
+      anchor: 'intro',
+      comment: ' Intro\n',
+      code: 'run();',
+      html: '<span>run</span>();',
+      node: null,
+      stability: null,
+    });
+  });
+
+  it('links files and the page absolutely', () => {
+    const document = buildApiExample(example('timers'), baseUrl);
+    assert.strictEqual(document.url, 'https://example.com/timers');
+    assert.strictEqual(document.steps[0].files[0].url, 'https://example.com/examples/timers/1/a.js');
+  });
+
+  it('gives null neighbours at either end instead of the index', () => {
+    const document = buildApiExample(example('timers', { next: 'streams' }), baseUrl);
+    assert.strictEqual(document.previous, null);
+    assert.strictEqual(document.next, 'streams');
+  });
+
+  it('dates the example in ISO 8601', () => {
+    const document = buildApiExample(example('timers'), baseUrl);
+    assert.strictEqual(document.added, '2024-01-01T00:00:00.000Z');
+    assert.strictEqual(document.updated, '2024-02-01T00:00:00.000Z');
+  });
+});
+
+describe('buildApiIndex() - Unit Tests', () => {
+  it('lists the categories with a link to each document', () => {
+    const index = buildApiIndex({
+      site: { title: 'Site', description: 'About', baseUrl },
+      categories: [{ name: 'Basics', items: [{ slug: 'timers' }] }],
+      examples: [example('timers', { description: 'Timers' })],
+    });
+    assert.deepStrictEqual(index.categories, [{
+      name: 'Basics',
+      examples: [{
+        slug: 'timers',
+        title: 'timers',
+        description: 'Timers',
+        url: 'https://example.com/timers',
+        api: 'https://example.com/api/timers.json',
+      }],
+    }]);
+  });
+});
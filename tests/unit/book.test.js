@@ -0,0 +1,55 @@
+/**
+ * Unit Tests for the printable book
+ *
+ * Tests that pages become chapters with anchors unique across the
+ * book, grouped by the categories of contents.json.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { bookChapter, bookCategories } from '../../tools/book.js';
+
+/**
+ * Helper to build a rendered page with one section
+ */
+function page(slug, sectionSlug = 'intro') {
+  return {
+    slug,
+    title: slug,
+    toc: [{ heading: 'Intro', slug: sectionSlug }],
+    contents: [{
+      files: [{ name: 'a.js', sections: [{ slug: sectionSlug, anchor: sectionSlug }], variant: null }],
+      scripts: [{ name: 'a.sh', sections: [{ slug: null, anchor: sectionSlug }] }],
+      output: null,
+    }],
+  };
+}
+
+describe('bookChapter() - Unit Tests', () => {
+  it('prefixes section anchors with the example slug', () => {
+    const chapter = bookChapter(page('timers'));
+    const [file] = chapter.contents[0].files;
+    assert.strictEqual(file.sections[0].slug, 'timers-intro');
+    assert.strictEqual(chapter.contents[0].scripts[0].sections[0].slug, null, 'should leave sections without a heading alone');
+    assert.strictEqual(chapter.contents[0].scripts[0].sections[0].anchor, 'timers-intro');
+    assert.deepStrictEqual(chapter.toc, [{ heading: 'Intro', slug: 'timers-intro' }]);
+  });
+
+  it('does not change the page', () => {
+    const original = page('timers');
+    bookChapter(original);
+    assert.strictEqual(original.contents[0].files[0].sections[0].slug, 'intro');
+  });
+});
+
+describe('bookCategories() - Unit Tests', () => {
+  it('orders chapters by contents.json and drops examples without a page', () => {
+    const categories = [
+      { name: 'Basics', items: [{ slug: 'b' }, { slug: 'a' }] },
+      { name: 'Missing', items: [{ slug: 'gone' }] },
+    ];
+    const book = bookCategories(categories, [page('a'), page('b')]);
+    assert.deepStrictEqual(book.map(category => category.name), ['Basics']);
+    assert.deepStrictEqual(book[0].examples.map(example => example.slug), ['b', 'a']);
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Unit Tests for cleaning the output
+ *
+ * Tests that builds list the files they write and that cleanSite() removes
+ * only those, leaving everything else in the directory alone.
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { cleanSite, snapshotSite, readGeneratedList, writeGeneratedList, generatedListFile } from '../../tools/clean.js';
+
+describe('cleanSite() - Unit Tests', () => {
+  let siteDir;
+
+  /**
+   * Helper to write a file in the site, creating its directory
+   */
+  function write(name, text = '') {
+    fs.mkdirSync(path.dirname(path.join(siteDir, name)), { recursive: true });
+    fs.writeFileSync(path.join(siteDir, name), text);
+  }
+
+  beforeEach(() => {
+    siteDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clean-'));
+    for (const name of ['README.md', 'notes.html', 'styles.css', 'examples/keep/1/keep.js']) {
+      write(name, 'kept');
+    }
+  });
+
+  afterEach(() => {
+    fs.rmSync(siteDir, { recursive: true, force: true });
+  });
+
+  it('lists the files a build created or rewrote', () => {
+    const before = snapshotSite(siteDir);
+    write('index.html', 'new');
+    write('examples/timers/1/timers.js', 'new');
+    write('sitemap.xml', 'new');
+    assert.deepStrictEqual(writeGeneratedList(siteDir, before),
+      ['examples/timers/1/timers.js', 'index.html', 'sitemap.xml']);
+  });
+
+  it('keeps listing files an earlier build wrote', () => {
+    write('timers.html', 'old');
+    const before = snapshotSite(siteDir);
+    write('index.html', 'new');
+    assert.deepStrictEqual(writeGeneratedList(siteDir, before, ['timers.html']), ['index.html', 'timers.html']);
+  });
+
+  it('removes only listed files and the directories they leave empty', () => {
+    const before = snapshotSite(siteDir);
+    write('index.html', 'new');
+    write('timers.md', 'new');
+    write('examples/timers/1/timers.js', 'new');
+    writeGeneratedList(siteDir, before);
+
+    assert.deepStrictEqual(cleanSite(siteDir), ['examples/timers/1/timers.js', 'index.html', 'timers.md']);
+    assert.deepStrictEqual(fs.readdirSync(siteDir).sort(), ['README.md', 'examples', 'notes.html', 'styles.css']);
+    assert.deepStrictEqual(fs.readdirSync(path.join(siteDir, 'examples')), ['keep']);
+  });
+
+  it('refuses to clean a directory no build has listed', () => {
+    assert.strictEqual(cleanSite(siteDir), null);
+    assert.strictEqual(fs.readdirSync(siteDir).length, 4, 'should remove nothing');
+  });
+
+  it('ignores listed paths outside the site', () => {
+    fs.writeFileSync(path.join(siteDir, generatedListFile), JSON.stringify({ files: ['../outside.txt', 'index.html'] }));
+    assert.deepStrictEqual(readGeneratedList(siteDir), ['index.html']);
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Unit Tests for the command line
+ *
+ * Tests that flags become build options only when they're given, so they
+ * override the configuration file without resetting it.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { parseCommandLine } from '../../tools/cli.js';
+
+describe('parseCommandLine() - Unit Tests', () => {
+  it('builds with no options by default', () => {
+    assert.deepStrictEqual(parseCommandLine([]), {
+      command: 'build',
+      config: {},
+      configFile: null,
+      logLevel: 'normal'
+    });
+  });
+
+  it('maps directories and the base URL to build options', () => {
+    const { config } = parseCommandLine([
+      '--out', 'dist', '--examples', 'ex', '--templates', 'tpl',
+      '--contents', 'ex/toc.json', '--base-url=https://example.com', '--base-path', '/docs/'
+    ]);
+    assert.deepStrictEqual(config, {
+      siteDir: 'dist',
+      examplesDir: 'ex',
+      templateDir: 'tpl',
+      contentsFile: 'ex/toc.json',
+      baseUrl: 'https://example.com',
+      basePath: '/docs/'
+    });
+  });
+
+  it('collects --only slugs given several times or separated by commas', () => {
+    const { config } = parseCommandLine(['--only', 'timers', '--only', 'streams,worker-threads']);
+    assert.deepStrictEqual(config.only, ['timers', 'streams', 'worker-threads']);
+  });
+
+  it('runs the examples when recording their output', () => {
+    assert.deepStrictEqual(parseCommandLine(['--record']).config, { runExamples: true, recordOutput: true });
+    assert.deepStrictEqual(parseCommandLine(['--run', '--clean']).config, { runExamples: true, clean: true });
+  });
+
+  it('reads how long each step may run', () => {
+    assert.deepStrictEqual(parseCommandLine(['--run', '--run-timeout', '10000']).config, { runExamples: true, runTimeout: 10000 });
+    assert.throws(() => parseCommandLine(['--run-timeout', 'soon']), /must be a number of milliseconds/);
+  });
+
+  it('only sets the highlight themes that are given', () => {
+    assert.deepStrictEqual(parseCommandLine(['--dark-theme=nord']).config.highlightThemes, { dark: 'nord' });
+  });
+
+  it('picks the command and log level', () => {
+    assert.strictEqual(parseCommandLine(['--check']).command, 'check');
+    assert.strictEqual(parseCommandLine(['-h']).command, 'help');
+    assert.strictEqual(parseCommandLine(['--quiet']).logLevel, 'quiet');
+    assert.strictEqual(parseCommandLine(['--verbose']).logLevel, 'verbose');
+    assert.strictEqual(parseCommandLine(['--config', 'site.config.js']).configFile, 'site.config.js');
+  });
+
+  it('rejects unknown options, missing values and conflicting levels', () => {
+    assert.throws(() => parseCommandLine(['--outdir', 'dist']), /Unknown option/);
+    assert.throws(() => parseCommandLine(['--out']), /argument missing/);
+    assert.throws(() => parseCommandLine(['--verbose', '--quiet']), /can't be used together/);
+  });
+});
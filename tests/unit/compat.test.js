@@ -0,0 +1,153 @@
+/**
+ * Unit Tests for the compatibility matrix
+ *
+ * Tests that node binaries are discovered, that examples are run or
+ * skipped by their declared minimum and that failures and regressions are
+ * found.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'url';
+import {
+  expandPath,
+  discoverNodes,
+  runMatrix,
+  findRegressions,
+  findFailures,
+  summarize,
+  compatibilityTable,
+} from '../../tools/compat.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+const currentNode = {
+  version: process.versions.node,
+  major: process.versions.node.split('.')[0],
+  path: process.execPath,
+};
+
+/**
+ * Helper to build a matrix with one single-step example
+ */
+function matrixWith(results) {
+  return { versions: [], examples: [{ slug: 'example', steps: [{ step: '1', results }] }] };
+}
+
+describe('Node discovery - Unit Tests', () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'compat-test-'));
+    for (const version of ['v20.1.0', 'v22.3.0']) {
+      fs.mkdirSync(path.join(tmpDir, version, 'bin'), { recursive: true });
+      fs.writeFileSync(path.join(tmpDir, version, 'bin', 'node'), '');
+    }
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('expands a * in a directory of the path', () => {
+    assert.deepStrictEqual(expandPath(path.join(tmpDir, '*', 'bin', 'node')), [
+      path.join(tmpDir, 'v20.1.0', 'bin', 'node'),
+      path.join(tmpDir, 'v22.3.0', 'bin', 'node'),
+    ]);
+  });
+
+  it('ignores paths that do not exist', () => {
+    assert.deepStrictEqual(expandPath(path.join(tmpDir, 'missing', '*', 'node')), []);
+  });
+
+  it('keeps one working binary per release line', () => {
+    const nodes = discoverNodes([process.execPath, process.execPath, path.join(tmpDir, '*', 'bin', 'node')]);
+    assert.deepStrictEqual(nodes, [currentNode]);
+  });
+});
+
+describe('runMatrix() - Unit Tests', () => {
+  const contents = {
+    categories: [{
+      name: 'Fixtures',
+      items: [
+        { slug: 'runnable', title: 'Runnable', dir: 'runnable' },
+        { slug: 'drift', title: 'Drift', dir: 'runnable-drift' },
+        { slug: 'future', title: 'Future', dir: 'runnable', node: '99.0.0' },
+        { slug: 'server', title: 'Server', dir: 'runnable', run: false },
+      ]
+    }]
+  };
+  const matrix = runMatrix(contents, FIXTURES_DIR, [currentNode]);
+  const statusOf = slug => matrix.examples.find(example => example.slug === slug).steps[0].results[currentNode.major];
+
+  it('passes examples that match their recorded output', () => {
+    assert.strictEqual(statusOf('runnable'), 'passed');
+  });
+
+  it('fails examples whose output no longer matches', () => {
+    assert.strictEqual(statusOf('drift'), 'failed');
+  });
+
+  it('skips versions older than the declared minimum', () => {
+    assert.strictEqual(statusOf('future'), 'skipped');
+  });
+
+  it('does not run examples marked run: false', () => {
+    assert.strictEqual(statusOf('server'), 'not-run');
+  });
+
+  it('records the file each step runs', () => {
+    assert.strictEqual(matrix.examples[0].steps[0].file, 'runnable/1/runnable.js');
+  });
+});
+
+describe('findRegressions() - Unit Tests', () => {
+  it('reports steps that passed before and fail now', () => {
+    const regressions = findRegressions(matrixWith({ 22: 'passed' }), matrixWith({ 22: 'failed' }));
+    assert.deepStrictEqual(regressions, [{ slug: 'example', step: '1', major: '22' }]);
+  });
+
+  it('ignores steps that already failed', () => {
+    assert.deepStrictEqual(findRegressions(matrixWith({ 22: 'failed' }), matrixWith({ 22: 'failed' })), []);
+  });
+
+  it('ignores release lines that were not recorded', () => {
+    assert.deepStrictEqual(findRegressions(matrixWith({ 20: 'passed' }), matrixWith({ 22: 'failed' })), []);
+  });
+});
+
+describe('findFailures() - Unit Tests', () => {
+  it('reports every failing step, whether or not it passed before', () => {
+    assert.deepStrictEqual(findFailures(matrixWith({ 20: 'passed', 22: 'failed' })), [{ slug: 'example', step: '1', major: '22' }]);
+  });
+
+  it('ignores skipped and not-run steps', () => {
+    assert.deepStrictEqual(findFailures(matrixWith({ 18: 'skipped', 20: 'not-run' })), []);
+  });
+});
+
+describe('Compatibility summary - Unit Tests', () => {
+  const matrix = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'compatibility.json'), 'utf8'));
+
+  it('fails an example when any step fails', () => {
+    assert.strictEqual(summarize(matrix.examples[1], '22'), 'failed');
+    assert.strictEqual(summarize(matrix.examples[0], '22'), 'passed');
+  });
+
+  it('leaves out release lines nothing ran on', () => {
+    const table = compatibilityTable(matrix);
+    assert.deepStrictEqual(table.versions.map(version => version.major), ['20', '22']);
+  });
+
+  it('lists the failing steps', () => {
+    const table = compatibilityTable(matrix);
+    assert.deepStrictEqual(table.examples[1].results[1], { status: 'failed', failedSteps: ['2'] });
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Unit Tests for the configuration file
+ *
+ * Tests that nodejsbyexample.config.js is optional and must export an
+ * object.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { loadConfigFile } from '../../tools/config.js';
+
+describe('loadConfigFile() - Unit Tests', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+    // Like this repository, so Node.js 18 reads the .js files as ES modules too
+    fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify({ type: 'module' }));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('gives an empty configuration without a file', async () => {
+    assert.deepStrictEqual(await loadConfigFile(path.join(dir, 'missing.config.js')), {});
+  });
+
+  it('requires a file asked for by name', async () => {
+    await assert.rejects(loadConfigFile(path.join(dir, 'missing.config.js'), { required: true }),
+      /There is no configuration file/);
+  });
+
+  it('reads the default export', async () => {
+    const file = path.join(dir, 'book.config.js');
+    fs.writeFileSync(file, 'export default { book: true, plugins: (defaults) => defaults };\n');
+    const config = await loadConfigFile(file);
+    assert.strictEqual(config.book, true);
+    assert.strictEqual(typeof config.plugins, 'function');
+  });
+
+  it('rejects a file without a configuration object', async () => {
+    const file = path.join(dir, 'empty.config.js');
+    fs.writeFileSync(file, 'export const book = true;\n');
+    await assert.rejects(loadConfigFile(file), /must export a configuration object/);
+  });
+});
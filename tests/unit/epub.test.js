@@ -0,0 +1,50 @@
+/**
+ * Unit Tests for the EPUB export
+ *
+ * Tests the package document that lists and orders the chapters, and that
+ * every document in the book parses as XML.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { packageOpf, buildEpub } from '../../tools/epub.js';
+import { readZip } from '../../tools/zip.js';
+import { xmlProblems } from '../helpers/xml.js';
+
+describe('packageOpf() - Unit Tests', () => {
+  const opf = packageOpf({
+    identifier: 'https://example.com/',
+    modified: new Date('2025-06-14T10:20:30.456Z'),
+    chapters: [{ slug: 'timers' }, { slug: 'buffers' }],
+  });
+
+  it('lists every chapter and the navigation document', () => {
+    assert.ok(opf.includes('<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>'));
+    assert.ok(opf.includes('<item id="chapter-timers" href="timers.xhtml" media-type="application/xhtml+xml"/>'));
+  });
+
+  it('reads the chapters in order', () => {
+    assert.ok(opf.indexOf('<itemref idref="chapter-timers"/>') < opf.indexOf('<itemref idref="chapter-buffers"/>'));
+  });
+
+  it('dates the book to the second, in UTC', () => {
+    assert.ok(opf.includes('<meta property="dcterms:modified">2025-06-14T10:20:30Z</meta>'));
+  });
+});
+
+describe('buildEpub() - Unit Tests', () => {
+  it('leaves characters XML does not allow out of every document', () => {
+    const epub = buildEpub([{ name: 'Basics', examples: [{ slug: 'buffers', title: 'Buffers' }] }], {
+      render: (template, data) => `<?xml version="1.0" encoding="UTF-8"?>\n<html xmlns="http://www.w3.org/1999/xhtml"><body><p>${data.title ?? 'Contents'}: Hi\0\0\x1b[32m\uFFFE</p></body></html>`,
+      stylesheet: '',
+      identifier: 'https://example.com/\x07',
+      modified: new Date('2025-06-14T10:20:30Z'),
+    });
+    const documents = readZip(epub).filter(entry => /\.(xhtml|opf|xml)$/.test(entry.name));
+    assert.strictEqual(documents.length, 4);
+    for (const { name, data } of documents) {
+      assert.deepStrictEqual(xmlProblems(data.toString()), [], `${name} should be well-formed`);
+    }
+    assert.ok(documents.find(entry => entry.name === 'OEBPS/buffers.xhtml').data.toString().includes('Buffers: Hi[32m'));
+  });
+});
@@ -95,4 +95,83 @@ describe('extractCode() - Unit Tests', () => {
     assert.ok(!result[0].comment.startsWith('//'), 'should strip // prefix');
     assert.ok(result[0].comment.includes('Comment here'));
   });
+
+  it('turns a leading JSDoc comment into prose', () => {
+    const sections = ['/**\n * Adds two numbers.\n * @param {number} a\n */\nfunction add(a, b) {}'];
+    const result = extractCode(sections, 'javascript');
+
+    assert.strictEqual(result[0].comment, ' Adds two numbers.\n @param {number} a\n');
+    assert.ok(!result[0].code.includes('Adds two numbers'), 'doc comment should leave the code');
+  });
+
+  it('turns indented leading comments into prose', () => {
+    const sections = ['  /** Indented doc comment */\n  // Indented line comment\n  run();'];
+    const result = extractCode(sections, 'javascript');
+
+    assert.strictEqual(result[0].comment, ' Indented doc comment \n Indented line comment\n');
+    assert.ok(result[0].code.includes('run'), 'should keep the code');
+  });
+
+  it('keeps plain block comments in the code', () => {
+    const sections = ['// Sample config\n/*\n{ "type": "module" }\n*/'];
+    const result = extractCode(sections, 'javascript');
+
+    assert.strictEqual(result[0].comment, ' Sample config\n');
+    assert.ok(result[0].code.includes('&quot;type&quot;'), 'block comment should stay in the code');
+  });
+
+  it('keeps indented comments after code in the code', () => {
+    const sections = ['// Intro\nfunction run() {\n  // explain a step\n  return 1;\n}'];
+    const result = extractCode(sections, 'javascript');
+
+    assert.strictEqual(result[0].comment, ' Intro\n');
+    assert.ok(result[0].code.includes('explain a step'), 'indented comment should stay in the code');
+  });
+
+  it('keeps trailing comments in the code', () => {
+    const sections = ['const x = 1; // trailing note'];
+    const result = extractCode(sections, 'javascript');
+
+    assert.strictEqual(result[0].comment, '');
+    assert.ok(result[0].code.includes('trailing note'), 'trailing comment should stay in the code');
+  });
+
+  it('still turns column 0 comments after code into prose', () => {
+    const sections = ['const a = 1;\n// Then b\nconst b = 2;'];
+    const result = extractCode(sections, 'javascript');
+
+    assert.strictEqual(result[0].comment, ' Then b\n');
+    assert.ok(!result[0].code.includes('Then b'));
+  });
+
+  it('ignores comment markers inside strings', () => {
+    const sections = ["// Fetch it\nconst url = 'http://example.com';\nconst re = /\\/\\//g;"];
+    const result = extractCode(sections, 'javascript');
+
+    assert.strictEqual(result[0].comment, ' Fetch it\n');
+    assert.ok(result[0].code.includes('http://example.com'), 'URL should stay in the code');
+  });
+
+  it('ignores lines inside template literals that look like comments', () => {
+    const sections = ['const text = `\n// not a comment\n/* nor this */\n`;'];
+    const result = extractCode(sections, 'javascript');
+
+    assert.strictEqual(result[0].comment, '', 'nothing in the template literal is prose');
+    assert.ok(result[0].code.includes('// not a comment'), 'template literal should stay whole');
+  });
+
+  it('treats every // line as prose in shell scripts', () => {
+    const sections = ['// Run it\n$ node app.js\n// Then open the page\n$ open http://localhost:3000'];
+    const result = extractCode(sections, 'shell');
+
+    assert.strictEqual(result[0].comment, ' Run it\n Then open the page\n');
+    assert.ok(result[0].code.includes('http://localhost:3000'));
+  });
+
+  it('keeps section anchors off the ids of the page itself', () => {
+    const sections = ['// **Search**\nconst found = [];', '// **Table of contents**\nconst toc = [];', '// <b>TOC</b>\nconst end = 1;'];
+    const result = extractCode(sections, 'javascript');
+
+    assert.deepStrictEqual(result.map(section => section.slug), ['search-2', 'table-of-contents', 'toc-2']);
+  });
 });
@@ -0,0 +1,77 @@
+/**
+ * Unit Tests for the Atom and RSS feeds
+ *
+ * Tests that feeds list the newest examples first with their real
+ * dates, and that example text is escaped.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { feedEntries, buildAtomFeed, buildRssFeed } from '../../tools/feeds.js';
+
+const BASE_URL = 'https://example.com';
+
+/**
+ * Helper to build an example with dates
+ */
+function example(slug, added, updated = added) {
+  return {
+    slug,
+    title: slug,
+    description: `About ${slug}`,
+    category: 'Basics',
+    added: new Date(added),
+    updated: new Date(updated),
+  };
+}
+
+describe('feedEntries() - Unit Tests', () => {
+  it('lists the most recently updated examples first', () => {
+    const entries = feedEntries([
+      example('old', '2024-01-01'),
+      example('updated', '2024-01-01', '2024-06-01'),
+      example('new', '2024-03-01'),
+    ]);
+    assert.deepStrictEqual(entries.map(entry => entry.slug), ['updated', 'new', 'old']);
+  });
+
+  it('keeps only the newest entries', () => {
+    const examples = Array.from({ length: 5 }, (_, i) => example(`e${i}`, `2024-01-0${i + 1}`));
+    assert.deepStrictEqual(feedEntries(examples, 2).map(entry => entry.slug), ['e4', 'e3']);
+  });
+});
+
+describe('buildAtomFeed() - Unit Tests', () => {
+  const feed = buildAtomFeed([example('sqlite', '2024-03-01'), example('buffers', '2024-01-01', '2024-05-02')], BASE_URL);
+
+  it('uses the newest update as the feed date', () => {
+    assert.ok(feed.includes('<updated>2024-05-02T00:00:00.000Z</updated>\n  <entry>'), 'should date the feed');
+  });
+
+  it('gives each entry its published and updated dates', () => {
+    assert.ok(feed.includes('<id>https://example.com/buffers</id>'), 'should use the page URL as id');
+    assert.ok(feed.includes('<published>2024-01-01T00:00:00.000Z</published>'), 'should include when it was added');
+  });
+
+  it('marks updated examples in the summary', () => {
+    assert.ok(feed.includes('<summary>Updated: About buffers</summary>'), 'should mark the update');
+    assert.ok(feed.includes('<summary>About sqlite</summary>'), 'should leave new examples alone');
+  });
+
+  it('escapes example text', () => {
+    const escaped = buildAtomFeed([{ ...example('streams', '2024-01-01'), title: 'Streams & <Pipes>' }], BASE_URL);
+    assert.ok(escaped.includes('<title>Streams &amp; &lt;Pipes&gt;</title>'), 'should escape the title');
+  });
+});
+
+describe('buildRssFeed() - Unit Tests', () => {
+  const feed = buildRssFeed([example('buffers', '2024-01-01', '2024-05-02')], BASE_URL);
+
+  it('dates items by their last update', () => {
+    assert.ok(feed.includes('<pubDate>Thu, 02 May 2024 00:00:00 GMT</pubDate>'), 'should use the update date');
+  });
+
+  it('gives each update its own guid', () => {
+    assert.ok(feed.includes('<guid isPermaLink="false">https://example.com/buffers#2024-05-02T00:00:00.000Z</guid>'));
+  });
+});
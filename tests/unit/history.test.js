@@ -0,0 +1,91 @@
+/**
+ * Unit Tests for example dates
+ *
+ * Tests that examples are dated from git history, from file
+ * modification times outside of git, and from contents.json, and that
+ * recorded output doesn't count as an update.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'url';
+import { execFileSync } from 'node:child_process';
+import { exampleDates, isoDate } from '../../tools/history.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('exampleDates() - Unit Tests', () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-test-'));
+    const file = path.join(tmpDir, '1', 'example.js');
+    fs.mkdirSync(path.dirname(file));
+    fs.writeFileSync(file, '');
+    fs.utimesSync(file, new Date('2024-02-03T10:00:00Z'), new Date('2024-02-03T10:00:00Z'));
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('falls back to file modification times outside of git', () => {
+    const { added, updated } = exampleDates(tmpDir);
+    assert.strictEqual(updated.toISOString(), '2024-02-03T10:00:00.000Z');
+    assert.strictEqual(added.toISOString(), '2024-02-03T10:00:00.000Z');
+  });
+
+  it('leaves recorded output out of modification times', () => {
+    const out = path.join(tmpDir, '1', 'example.out');
+    fs.writeFileSync(out, 'recorded\n');
+    try {
+      assert.strictEqual(exampleDates(tmpDir).updated.toISOString(), '2024-02-03T10:00:00.000Z');
+    } finally {
+      fs.rmSync(out);
+    }
+  });
+
+  it('prefers the added date from contents.json', () => {
+    const { added } = exampleDates(tmpDir, { added: '2023-12-01' });
+    assert.strictEqual(isoDate(added), '2023-12-01');
+  });
+
+  it('never dates an update before the example was added', () => {
+    const { updated } = exampleDates(tmpDir, { added: '2025-01-01' });
+    assert.strictEqual(isoDate(updated), '2025-01-01');
+  });
+
+  it('leaves commits of recorded output out of git history', () => {
+    const repo = fs.mkdtempSync(path.join(os.tmpdir(), 'history-git-'));
+    const git = (args, date) => execFileSync('git', args, {
+      cwd: repo,
+      stdio: 'ignore',
+      env: { ...process.env, GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date, GIT_AUTHOR_NAME: 'Test', GIT_AUTHOR_EMAIL: 'test@example.com', GIT_COMMITTER_NAME: 'Test', GIT_COMMITTER_EMAIL: 'test@example.com' }
+    });
+    try {
+      fs.mkdirSync(path.join(repo, 'example', '1'), { recursive: true });
+      fs.writeFileSync(path.join(repo, 'example', '1', 'example.js'), 'console.log(1);\n');
+      git(['init', '-q']);
+      git(['add', '-A']);
+      git(['commit', '-q', '-m', 'Add the example'], '2024-03-01T12:00:00Z');
+      fs.writeFileSync(path.join(repo, 'example', '1', 'example.out'), '1\n');
+      git(['add', '-A']);
+      git(['commit', '-q', '-m', 'Record its output'], '2024-06-01T12:00:00Z');
+
+      const { updated } = exampleDates(path.join(repo, 'example'));
+      assert.strictEqual(isoDate(updated), '2024-03-01');
+    } finally {
+      fs.rmSync(repo, { recursive: true, force: true });
+    }
+  });
+
+  it('reads dates from git history', () => {
+    const { added, updated } = exampleDates(path.join(__dirname, '..', 'fixtures', 'simple-example'));
+    assert.ok(!Number.isNaN(added.getTime()), 'should find when it was added');
+    assert.ok(added <= updated, 'should be updated after being added');
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Unit Tests for renderProse()
+ *
+ * Tests that comment prose is rendered as Markdown with raw HTML
+ * escaped, apart from the legacy formatting tags.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { renderProse } from '../../tools/markdown.js';
+
+describe('renderProse() - Unit Tests', () => {
+  it('renders inline code, links and bold text', () => {
+    const html = renderProse(' Use `pipeline()` from [node:stream](https://nodejs.org/api/stream.html), **always**\n');
+    assert.strictEqual(html, '<p>Use <code>pipeline()</code> from <a href="https://nodejs.org/api/stream.html">node:stream</a>, <strong>always</strong></p>\n');
+  });
+
+  it('renders lists', () => {
+    const html = renderProse(' Remember:\n - one\n - two\n');
+    assert.ok(html.includes('<ul>\n<li>one</li>\n<li>two</li>\n</ul>'), 'should render a list');
+  });
+
+  it('renders note fences as callouts', () => {
+    const html = renderProse(' ```note\n Needs Node.js 22\n ```\n');
+    assert.strictEqual(html, '<aside class="note"><p>Needs Node.js 22</p>\n</aside>\n');
+  });
+
+  it('highlights fenced code', () => {
+    const html = renderProse(' ```js\n const x = 1;\n ```\n');
+    assert.ok(html.includes('<span class="hljs-keyword">const</span>'), 'should highlight the fence');
+  });
+
+  it('does not treat the space after // as an indented code block', () => {
+    const html = renderProse('     Indented prose\n');
+    assert.strictEqual(html, '<p>Indented prose</p>\n');
+  });
+
+  it('escapes raw HTML', () => {
+    const html = renderProse(' Compare a < b and <script>alert(1)</script>\n');
+    assert.ok(html.includes('a &lt; b'), 'should escape a stray <');
+    assert.ok(html.includes('&lt;script&gt;'), 'should escape tags');
+  });
+
+  it('keeps legacy tags in compatibility mode', () => {
+    const html = renderProse(' The <b>HTTP</b> module<br>');
+    assert.strictEqual(html, '<p>The <b>HTTP</b> module<br></p>\n');
+  });
+
+  it('escapes legacy tags inside code spans', () => {
+    const html = renderProse(' Write `<b>` for bold\n');
+    assert.ok(html.includes('<code>&lt;b&gt;</code>'), 'code spans are always literal');
+  });
+
+  it('escapes legacy tags when compatibility mode is off', () => {
+    const html = renderProse(' The <b>HTTP</b> module', { legacyHtml: false });
+    assert.ok(html.includes('&lt;b&gt;HTTP&lt;/b&gt;'), 'should escape <b>');
+  });
+
+  it('closes void tags for XHTML', () => {
+    const html = renderProse(' A<br>B\n\n ---\n', { xhtml: true });
+    assert.strictEqual(html, '<p>A<br />B</p>\n<hr />\n');
+  });
+
+  it('renders nothing for empty prose', () => {
+    assert.strictEqual(renderProse(''), '');
+    assert.strictEqual(renderProse(' \n'), '');
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Unit Tests for the Markdown export
+ *
+ * Tests that step files split into prose and code without losing a byte of
+ * the code, and how the Markdown around it is laid out.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'url';
+import MarkdownIt from 'markdown-it';
+import { splitRuns } from '../../tools/comments.js';
+import { fence, fileBlocks, buildLlmsTxt } from '../../tools/markdownExport.js';
+import { languages } from '../../tools/steps.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const EXAMPLES_DIR = path.join(__dirname, '..', '..', 'examples');
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+/**
+ * Helper to list every step file of the examples and fixtures
+ */
+function stepFiles() {
+  return [EXAMPLES_DIR, FIXTURES_DIR]
+    .flatMap(dir => fs.readdirSync(dir, { recursive: true }).map(file => path.join(dir, file)))
+    .filter(file => languages[path.extname(file)] && /[\\/]\d+[\\/][^\\/]+$/.test(file));
+}
+
+describe('splitRuns() - Unit Tests', () => {
+  it('splits prose from code in file order', () => {
+    const runs = splitRuns('// Intro\nconst a = 1;\n\n// More\nconst b = 2;', 'javascript');
+    assert.deepStrictEqual(runs.map(run => run.type), ['prose', 'code', 'blank', 'prose', 'code']);
+    assert.strictEqual(runs[0].text, ' Intro\n');
+    assert.strictEqual(runs[4].source, 'const b = 2;');
+  });
+
+  it('keeps blank lines and trailing comments inside code', () => {
+    const runs = splitRuns('const a = 1;\n\nconst b = 2; // two\n', 'javascript');
+    assert.deepStrictEqual(runs, [{ type: 'code', source: 'const a = 1;\n\nconst b = 2; // two\n' }]);
+  });
+
+  it('takes // lines as prose in shell scripts', () => {
+    const runs = splitRuns('// Run it\n$ node a.js\n# done', 'shell');
+    assert.deepStrictEqual(runs, [
+      { type: 'prose', source: '// Run it\n', text: ' Run it\n' },
+      { type: 'code', source: '$ node a.js\n# done' },
+    ]);
+  });
+
+  it('gives back every step file exactly', () => {
+    for (const file of stepFiles()) {
+      const source = fs.readFileSync(file, 'utf8');
+      const lang = languages[path.extname(file)];
+      const joined = source.split('\n\n\n').map(section => splitRuns(section, lang).map(run => run.source).join('')).join('\n\n\n');
+      assert.strictEqual(joined, source, file);
+    }
+  });
+});
+
+describe('fence() - Unit Tests', () => {
+  it('fences code with its language', () => {
+    assert.strictEqual(fence('a();\n', 'js'), '```js\na();\n```\n');
+  });
+
+  it('outlasts backticks in the code', () => {
+    assert.strictEqual(fence('const s = ````;', 'js'), '`````js\nconst s = ````;\n`````\n');
+  });
+});
+
+describe('fileBlocks() - Unit Tests', () => {
+  const markdown = new MarkdownIt();
+
+  it('turns prose into paragraphs without directives', () => {
+    const blocks = fileBlocks('// @node 22.0.0\n// **Heading**\n// Text\nrun();\n', 'javascript');
+    assert.deepStrictEqual(blocks, ['**Heading**\nText\n', '```js\nrun();\n```\n']);
+  });
+
+  it('keeps the code of every step file byte for byte', () => {
+    for (const file of stepFiles()) {
+      const source = fs.readFileSync(file, 'utf8');
+      const lang = languages[path.extname(file)];
+      const fences = markdown.parse(fileBlocks(source, lang).join('\n'), {})
+        .filter(token => token.type === 'fence')
+        .map(token => token.content);
+      const code = source.split('\n\n\n')
+        .flatMap(section => splitRuns(section, lang))
+        .filter(run => run.type === 'code')
+        .map(run => run.source.endsWith('\n') ? run.source : `${run.source}\n`);
+      assert.deepStrictEqual(fences, code, file);
+      for (const content of fences) {
+        assert.ok(`${source}\n`.includes(content), `${file} should contain the fenced code as written`);
+      }
+    }
+  });
+});
+
+describe('buildLlmsTxt() - Unit Tests', () => {
+  it('links the Markdown of every example by category', () => {
+    const text = buildLlmsTxt({
+      site: { title: 'Site', description: 'About the site.', baseUrl: 'https://example.com' },
+      categories: [{ name: 'Basics', items: [{ slug: 'timers' }] }],
+      examples: [{ slug: 'timers', title: 'Timers', description: 'Scheduling.' }],
+    });
+    assert.ok(text.startsWith('# Site\n\n> About the site.\n'));
+    assert.ok(text.includes('## Basics\n\n- [Timers](https://example.com/timers.md): Scheduling.\n'));
+    assert.ok(text.includes('- [Every example in one file](https://example.com/all.md)'));
+  });
+});
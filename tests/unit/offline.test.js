@@ -0,0 +1,57 @@
+/**
+ * Unit Tests for offline support
+ *
+ * Tests which files the service worker precaches and that its cache
+ * version follows their contents.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { precacheFiles, cacheVersion, buildServiceWorker } from '../../tools/offline.js';
+
+describe('precacheFiles() - Unit Tests', () => {
+  let siteDir;
+
+  before(() => {
+    siteDir = fs.mkdtempSync(path.join(os.tmpdir(), 'offline-'));
+    for (const file of ['index.html', 'timers.html', 'removed.html', 'styles.css', 'sitemap.xml', 'sw.js', 'api/timers.json', 'examples/timers/1/timers.js']) {
+      fs.mkdirSync(path.dirname(path.join(siteDir, file)), { recursive: true });
+      fs.writeFileSync(path.join(siteDir, file), file);
+    }
+  });
+
+  after(() => {
+    fs.rmSync(siteDir, { recursive: true, force: true });
+  });
+
+  it('lists the pages of the build and every asset', () => {
+    assert.deepStrictEqual(precacheFiles(siteDir, ['index', 'timers']), [
+      'examples/timers/1/timers.js',
+      'index.html',
+      'styles.css',
+      'timers.html',
+    ]);
+  });
+
+  it('changes the cache version when a file changes', () => {
+    const files = precacheFiles(siteDir, ['index']);
+    const before = cacheVersion(siteDir, files);
+    assert.strictEqual(cacheVersion(siteDir, files), before, 'should be stable');
+    fs.writeFileSync(path.join(siteDir, 'styles.css'), 'body{}');
+    assert.notStrictEqual(cacheVersion(siteDir, files), before, 'should follow the contents');
+  });
+});
+
+describe('buildServiceWorker() - Unit Tests', () => {
+  it('names its cache after the version', () => {
+    assert.ok(buildServiceWorker(['index.html'], 'abc123').includes('const CACHE = "nodejsbyexample-abc123";'));
+  });
+
+  it('precaches the site root with the files', () => {
+    const worker = buildServiceWorker(['index.html', 'styles.css'], 'abc123');
+    assert.ok(worker.includes('"./",\n  "./index.html",\n  "./styles.css"'));
+  });
+});
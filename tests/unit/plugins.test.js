@@ -0,0 +1,167 @@
+/**
+ * Unit Tests for the site model and output plugins
+ *
+ * Builds the model of the fixtures and runs plugins on it one at a time,
+ * without the rest of the build.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'url';
+import { buildModel } from '../../tools/generate.js';
+import { staticFilesPlugin, htmlPlugin, sitemapPlugin, searchPlugin, resolvePlugins, runPlugins, defaultPlugins } from '../../tools/plugins.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+const TEMPLATES_DIR = path.join(__dirname, '..', '..', 'templates');
+
+describe('buildModel() - Unit Tests', () => {
+  const config = {
+    examplesDir: FIXTURES_DIR,
+    contentsFile: path.join(FIXTURES_DIR, 'contents.json')
+  };
+
+  it('lists the examples that exist, in order, with their neighbours', () => {
+    const { model } = buildModel(config);
+    assert.deepStrictEqual(model.examples.map(example => example.slug),
+      ['simple-example', 'edge-cases', 'code-only', 'async-programming']);
+    assert.strictEqual(model.examples[0].previous, '/');
+    assert.strictEqual(model.examples[0].next, 'edge-cases');
+    assert.strictEqual(model.examples[3].next, '/');
+    assert.strictEqual(model.examples[3].category, 'Advanced');
+  });
+
+  it('reads steps, files and sections', () => {
+    const { model } = buildModel(config);
+    const [step] = model.examples[0].steps;
+    assert.strictEqual(step.step, '1');
+    assert.deepStrictEqual(step.files.map(file => file.name), ['example.js']);
+    assert.ok(step.files[0].sections.length > 0, 'should split the file into sections');
+    assert.ok(model.examples[0].updated instanceof Date, 'should date the example');
+  });
+
+  it('takes unchanged examples from the cache', () => {
+    const first = buildModel(config);
+    assert.strictEqual(first.changed.size, 4, 'should read every example without a cache');
+
+    const { model, changed } = buildModel(config, { examples: first.cachedExamples });
+    assert.strictEqual(changed.size, 0);
+    assert.deepStrictEqual(model.examples[0].steps, first.model.examples[0].steps);
+  });
+
+  it('takes the dates of unchanged examples from the cache', () => {
+    const { cachedExamples } = buildModel(config);
+    const entry = cachedExamples['code-only'];
+    entry.dates = { added: '2001-02-03T00:00:00.000Z', updated: '2002-03-04T00:00:00.000Z' };
+
+    const { model } = buildModel(config, { examples: cachedExamples });
+    const example = model.examples.find(other => other.slug === 'code-only');
+    assert.deepStrictEqual(example.updated, new Date('2002-03-04T00:00:00.000Z'));
+
+    const { model: moved } = buildModel(config, { examples: { 'code-only': { ...entry, head: 'another commit' } } });
+    assert.notDeepStrictEqual(moved.examples.find(other => other.slug === 'code-only').updated, example.updated,
+      'should date the example again when the checked out commit changes');
+  });
+});
+
+describe('Output plugins - Unit Tests', () => {
+  let siteDir;
+  let config;
+  let model;
+
+  before(() => {
+    siteDir = fs.mkdtempSync(path.join(os.tmpdir(), 'plugins-'));
+    config = {
+      siteDir,
+      templateDir: TEMPLATES_DIR,
+      examplesDir: FIXTURES_DIR,
+      contentsFile: path.join(FIXTURES_DIR, 'contents.json'),
+      legacyHtml: true,
+      offline: false,
+      runButtons: false,
+      baseUrl: 'https://nodejsbyexample.com'
+    };
+    ({ model } = buildModel(config));
+  });
+
+  after(() => {
+    fs.rmSync(siteDir, { recursive: true, force: true });
+  });
+
+  it('writes the sitemap on its own', () => {
+    sitemapPlugin().build(model, { config, changed: new Set(), state: null, pages: [] });
+    const sitemap = fs.readFileSync(path.join(siteDir, 'sitemap.xml'), 'utf8');
+    assert.ok(sitemap.includes('<loc>https://nodejsbyexample.com/async-programming</loc>'));
+    assert.ok(!fs.existsSync(path.join(siteDir, 'index.html')), 'should write nothing else');
+  });
+
+  it('copies the stylesheet and scripts kept in the repository', () => {
+    const staticDir = path.join(__dirname, '..', '..', 'public');
+    staticFilesPlugin().build(model, { config: { ...config, staticDir }, changed: new Set(), state: null, pages: [] });
+    assert.strictEqual(fs.readFileSync(path.join(siteDir, 'styles.css'), 'utf8'),
+      fs.readFileSync(path.join(staticDir, 'styles.css'), 'utf8'));
+    assert.ok(fs.existsSync(path.join(siteDir, 'search.js')));
+  });
+
+  it('indexes every example for search', () => {
+    searchPlugin().build(model, { config, changed: new Set(), state: null, pages: [] });
+    const source = fs.readFileSync(path.join(siteDir, 'search-index.js'), 'utf8');
+    const index = JSON.parse(source.replace('window.searchIndex = ', '').replace(/;\n$/, ''));
+    assert.strictEqual(index.pages.length, 4);
+  });
+
+  it('only writes the pages of changed examples and pages it did not write', () => {
+    const plugin = htmlPlugin();
+    const first = plugin.build(model, { config, changed: new Set(), state: null, pages: [] });
+    assert.deepStrictEqual(first.rebuilt, ['index', 'simple-example', 'edge-cases', 'code-only', 'async-programming']);
+    assert.ok(first.pages.includes('compatibility'), 'should own the compatibility page');
+
+    const second = plugin.build(model, { config, changed: new Set(['code-only']), state: first.state, pages: [] });
+    assert.deepStrictEqual(second.rebuilt, ['code-only']);
+    assert.strictEqual(second.skipped, 4);
+
+    fs.appendFileSync(path.join(siteDir, 'edge-cases.html'), '<!-- another build -->');
+    const third = plugin.build(model, { config, changed: new Set(), state: second.state, pages: [] });
+    assert.deepStrictEqual(third.rebuilt, ['edge-cases'], 'should write over pages changed since');
+
+    const fourth = plugin.build(model, { config, changed: new Set(), state: null, pages: [] });
+    assert.strictEqual(fourth.rebuilt.length, 5, 'should write every page without a state');
+  });
+});
+
+describe('resolvePlugins() - Unit Tests', () => {
+  const custom = { name: 'custom', build() {} };
+
+  it('runs the default plugins without configuration', () => {
+    assert.deepStrictEqual(resolvePlugins({}).map(plugin => plugin.name),
+      ['static-files', 'themes', 'step-files', 'html', 'sitemap', 'feeds', 'search', 'api', 'offline']);
+    assert.deepStrictEqual(defaultPlugins({ book: true, epub: true }).map(plugin => plugin.name).slice(-3),
+      ['book', 'epub', 'offline']);
+  });
+
+  it('takes a list or a function of the defaults', () => {
+    assert.deepStrictEqual(resolvePlugins({ plugins: [custom] }), [custom]);
+    const names = resolvePlugins({ plugins: defaults => [...defaults, custom] }).map(plugin => plugin.name);
+    assert.strictEqual(names.at(-1), 'custom');
+  });
+
+  it('rejects plugins without a name or build function', () => {
+    assert.throws(() => resolvePlugins({ plugins: [{ name: 'broken' }] }), /needs a name and a build/);
+  });
+});
+
+describe('runPlugins() - Unit Tests', () => {
+  it('passes on the pages written so far and collects state by name', () => {
+    const seen = [];
+    const plugins = [
+      { name: 'first', build: () => ({ pages: ['a'], rebuilt: ['a'], state: 1 }) },
+      { name: 'second', build: (model, { pages, state }) => { seen.push(pages, state); return { pages: ['b'], skipped: 1 }; } },
+    ];
+    const result = runPlugins(plugins, {}, { config: {}, changed: new Set(), previousState: { second: 'before' } });
+    assert.deepStrictEqual(seen, [['a'], 'before']);
+    assert.deepStrictEqual(result, { pages: ['a', 'b'], rebuilt: ['a'], skipped: 1, state: { first: 1 } });
+  });
+});
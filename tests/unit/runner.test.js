@@ -0,0 +1,257 @@
+/**
+ * Unit Tests for the example runner
+ *
+ * Tests that examples are executed in a child process, that their output
+ * is captured and that recorded expectations are compared correctly, and
+ * that the dev server's runs are sandboxed, limited and streamed.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  runExample,
+  formatOutput,
+  normalizeOutput,
+  checkExpectation,
+  recordExpectation,
+  expectationPath,
+  typeStrippingFlags,
+  permissionFlags,
+  startExample,
+} from '../../tools/runner.js';
+
+describe('Example runner - Unit Tests', () => {
+  let tmpDir;
+
+  /**
+   * Helper to write a throwaway example file
+   */
+  function writeExample(name, source) {
+    const filePath = path.join(tmpDir, name);
+    fs.writeFileSync(filePath, source);
+    return filePath;
+  }
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'runner-test-'));
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('captures stdout and stderr', () => {
+    const file = writeExample('output.js', 'console.log("out");\nconsole.error("err");\n');
+    const result = runExample(file);
+
+    assert.strictEqual(result.stdout, 'out\n');
+    assert.strictEqual(result.stderr, 'err\n');
+    assert.strictEqual(result.status, 0);
+    assert.strictEqual(result.timedOut, false);
+  });
+
+  it('stops examples that run past the timeout', () => {
+    const file = writeExample('forever.js', 'console.log("started");\nsetInterval(() => {}, 1000);\n');
+    const result = runExample(file, { timeout: 500 });
+
+    assert.strictEqual(result.timedOut, true);
+    assert.ok(formatOutput(result).includes('(stopped after timeout)'), 'should note the timeout');
+  });
+
+  it('runs examples outside the repository with a scrubbed environment', () => {
+    const file = writeExample('env.js', 'console.log(process.cwd() === process.env.HOME, process.env.SECRET);\n');
+    process.env.SECRET = 'leaked';
+    try {
+      const result = runExample(file);
+      assert.strictEqual(result.stdout, 'true undefined\n');
+    } finally {
+      delete process.env.SECRET;
+    }
+  });
+
+  it('hides the example directory from the output', () => {
+    const file = writeExample('paths.js', 'console.log(__filename);\n');
+    const result = runExample(file);
+
+    assert.ok(!result.stdout.includes(tmpDir), 'should not leak absolute paths');
+    assert.strictEqual(result.stdout, './paths.js\n');
+  });
+
+  it('passes node arguments before the example', () => {
+    const file = writeExample('args.js', 'console.log(process.execArgv.join(" "));\n');
+    const result = runExample(file, { nodeArgs: ['--no-deprecation'] });
+
+    assert.ok(result.stdout.endsWith(' --no-deprecation\n') || result.stdout === '--no-deprecation\n', result.stdout);
+  });
+
+  it('confines examples to a copy of their directory where the permission model exists', { skip: !permissionFlags(os.tmpdir()) && 'needs the permission model' }, () => {
+    writeExample('sibling.txt', 'next to me\n');
+    const file = writeExample('confined.js', [
+      "const fs = require('fs');",
+      "console.log(fs.readFileSync('sibling.txt', 'utf8').trim());",
+      "fs.writeFileSync('written.txt', 'mine');",
+      "try { fs.readFileSync(process.execPath); } catch (error) { console.log(error.code); }",
+      "try { require('child_process').execFileSync(process.execPath, ['--version']); } catch (error) { console.log(error.code); }",
+    ].join('\n'));
+    const result = runExample(file);
+
+    assert.strictEqual(result.stdout, 'next to me\nERR_ACCESS_DENIED\nERR_ACCESS_DENIED\n');
+    assert.ok(!fs.existsSync(path.join(tmpDir, 'written.txt')), 'should write to the copy');
+  });
+
+  it('lets examples start workers they are allowed', { skip: !permissionFlags(os.tmpdir()) && 'needs the permission model' }, () => {
+    const file = writeExample('worker.js', [
+      "const { Worker } = require('worker_threads');",
+      "new Worker('console.log(\"from the worker\")', { eval: true });",
+    ].join('\n'));
+
+    assert.strictEqual(runExample(file, { allow: ['worker'] }).stdout, 'from the worker\n');
+    assert.match(runExample(file).stderr, /ERR_ACCESS_DENIED/);
+  });
+
+  it('normalizes line endings and trailing whitespace', () => {
+    assert.strictEqual(normalizeOutput('a  \r\nb\n\n'), 'a\nb');
+  });
+
+  it('strips colour codes and control characters but keeps tabs', () => {
+    assert.strictEqual(normalizeOutput('\x1b[32m\'Test\'\x1b[39m\tok\nWritten: Hi\0\0\0\x07'), "'Test'\tok\nWritten: Hi");
+  });
+
+  it('records colourful output as plain text', () => {
+    const file = writeExample('colours.js', "console.log(require('util').inspect({ n: 1 }, { colors: true }));");
+    fs.writeFileSync(expectationPath(file), '');
+    recordExpectation(file, formatOutput(runExample(file)));
+    assert.strictEqual(fs.readFileSync(expectationPath(file), 'utf8'), '{ n: 1 }\n');
+  });
+
+  it('skips the check when no expectation is recorded', () => {
+    const file = writeExample('unrecorded.js', '');
+    assert.deepStrictEqual(checkExpectation(file, 'anything'), { checked: false, matches: true });
+  });
+
+  it('compares output with the recorded expectation', () => {
+    const file = writeExample('recorded.js', '');
+    recordExpectation(file, 'Hello World!\n');
+
+    assert.strictEqual(fs.readFileSync(expectationPath(file), 'utf8'), 'Hello World!\n');
+    assert.strictEqual(checkExpectation(file, 'Hello World!').matches, true);
+    assert.strictEqual(checkExpectation(file, 'Goodbye').matches, false);
+  });
+});
+
+describe('typeStrippingFlags() - Unit Tests', () => {
+  it('needs no flag once type stripping is on by default', () => {
+    assert.deepStrictEqual(typeStrippingFlags('24.1.0'), ['--disable-warning=ExperimentalWarning']);
+    assert.deepStrictEqual(typeStrippingFlags('23.6.0'), ['--disable-warning=ExperimentalWarning']);
+    assert.deepStrictEqual(typeStrippingFlags('22.18.0'), ['--disable-warning=ExperimentalWarning']);
+  });
+
+  it('enables the experimental flag where it exists', () => {
+    assert.deepStrictEqual(typeStrippingFlags('22.6.0'), ['--experimental-strip-types', '--disable-warning=ExperimentalWarning']);
+    assert.deepStrictEqual(typeStrippingFlags('23.0.0'), ['--experimental-strip-types', '--disable-warning=ExperimentalWarning']);
+  });
+
+  it('returns null for versions that cannot run TypeScript', () => {
+    assert.strictEqual(typeStrippingFlags('22.5.1'), null);
+    assert.strictEqual(typeStrippingFlags('20.19.5'), null);
+    assert.strictEqual(typeStrippingFlags('18.20.8'), null);
+  });
+});
+
+describe('permissionFlags() - Unit Tests', () => {
+  it('uses the stable flag where there is one', () => {
+    assert.deepStrictEqual(permissionFlags('/tmp/run', '22.13.0'), ['--permission', '--allow-fs-read=/tmp/run', '--allow-fs-write=/tmp/run']);
+    assert.deepStrictEqual(permissionFlags('/tmp/run', '24.0.0')[0], '--permission');
+  });
+
+  it('silences the experimental warning where it can', () => {
+    assert.deepStrictEqual(permissionFlags('/tmp/run', '20.11.0').slice(0, 2), ['--experimental-permission', '--disable-warning=ExperimentalWarning']);
+    assert.deepStrictEqual(permissionFlags('/tmp/run', '20.0.0').slice(0, 2), ['--experimental-permission', '--allow-fs-read=/tmp/run']);
+  });
+
+  it('returns null before the permission model', () => {
+    assert.strictEqual(permissionFlags('/tmp/run', '18.20.8'), null);
+  });
+
+  it('allows workers when asked, without the warning that comes with it', () => {
+    assert.deepStrictEqual(permissionFlags('/tmp/run', '22.13.0', ['worker']),
+      ['--permission', '--disable-warning=SecurityWarning', '--allow-fs-read=/tmp/run', '--allow-fs-write=/tmp/run', '--allow-worker']);
+  });
+
+  it('returns null for examples that start processes, which it cannot confine', () => {
+    assert.strictEqual(permissionFlags('/tmp/run', '22.13.0', ['child-process']), null);
+  });
+});
+
+describe('startExample() - Unit Tests', { skip: !permissionFlags(os.tmpdir()) && 'needs the permission model' }, () => {
+  let tmpDir;
+
+  /**
+   * Helper to run a throwaway example to the end
+   */
+  function run(source, options = {}) {
+    const stepDir = fs.mkdtempSync(path.join(tmpDir, 'step-'));
+    fs.writeFileSync(path.join(stepDir, 'example.js'), source);
+    const output = [];
+    return new Promise((resolve) => {
+      startExample(path.join(stepDir, 'example.js'), {
+        ...options,
+        onOutput: (stream, text) => output.push([stream, text]),
+        onExit: (result) => resolve({ ...result, output })
+      });
+    });
+  }
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'start-test-'));
+    // Steps are ES modules, as they are in the repository
+    fs.writeFileSync(path.join(tmpDir, 'package.json'), JSON.stringify({ type: 'module' }));
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('streams stdout and stderr', async () => {
+    const result = await run('console.log("out");\nconsole.error("err");\n');
+    assert.strictEqual(result.status, 0);
+    assert.deepStrictEqual(result.output.filter(([stream]) => stream === 'stdout'), [['stdout', 'out\n']]);
+    assert.deepStrictEqual(result.output.filter(([stream]) => stream === 'stderr'), [['stderr', 'err\n']]);
+  });
+
+  it('lets examples use the files of their step', async () => {
+    const result = await run('import fs from "node:fs";\nfs.writeFileSync("note.txt", "hi");\nconsole.log(fs.readFileSync("note.txt", "utf8"));\n');
+    assert.strictEqual(result.status, 0);
+    assert.deepStrictEqual(result.output, [['stdout', 'hi\n']]);
+  });
+
+  it('runs .js files as ES modules, like the repository does', async () => {
+    const result = await run('import os from "node:os";\nconsole.log(typeof os.tmpdir);\n');
+    assert.deepStrictEqual(result.output, [['stdout', 'function\n']]);
+  });
+
+  it('keeps examples out of the rest of the file system', async () => {
+    const result = await run(`import fs from "node:fs";\nfs.readFileSync(${JSON.stringify(path.resolve('package.json'))});\n`);
+    assert.notStrictEqual(result.status, 0);
+    assert.ok(result.output.some(([, text]) => text.includes('ERR_ACCESS_DENIED')), 'should be denied');
+  });
+
+  it('does not let examples start processes', async () => {
+    const result = await run('import { execSync } from "node:child_process";\nexecSync("true");\n');
+    assert.notStrictEqual(result.status, 0);
+  });
+
+  it('stops examples that run past the timeout', async () => {
+    const result = await run('setInterval(() => {}, 1000);\n', { timeout: 500 });
+    assert.strictEqual(result.timedOut, true);
+  });
+
+  it('stops examples that print too much', async () => {
+    const result = await run('setInterval(() => console.log("x".repeat(1000)), 1);\n', { maxOutput: 10000 });
+    assert.strictEqual(result.truncated, true);
+    assert.ok(result.output.reduce((length, [, text]) => length + text.length, 0) <= 10000, 'should stop streaming at the limit');
+  });
+});
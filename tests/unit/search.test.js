@@ -0,0 +1,42 @@
+/**
+ * Unit Tests for the search index
+ *
+ * Tests how headings, prose and identifiers are pulled out of
+ * extracted sections for the client-side search.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { extractCode } from '../../tools/generate.js';
+import { buildSearchIndex, extractIdentifiers, indexSections } from '../../tools/search.js';
+
+describe('Search index - Unit Tests', () => {
+  it('collects identifiers but leaves out keywords', () => {
+    const [section] = extractCode(['const controller = new AbortController();'], 'javascript');
+    const identifiers = extractIdentifiers(section.code);
+
+    assert.ok(identifiers.includes('controller'), 'should include variables');
+    assert.ok(identifiers.includes('AbortController'), 'should include classes');
+    assert.ok(!identifiers.includes('const'), 'should leave out keywords');
+    assert.ok(!identifiers.includes('new'), 'should leave out keywords');
+  });
+
+  it('builds one entry per section with its anchor', () => {
+    const code = extractCode(['// <b>Pipelines</b> connect streams\nawait pipeline(a, b);', 'go();'], 'javascript');
+    code.forEach(section => { section.anchor = section.slug; });
+
+    const index = buildSearchIndex([
+      { title: 'Pipelines', slug: 'pipelines', category: 'Core Modules', sections: indexSections([{ files: [{ name: 'pipelines.js', sections: code }], scripts: [] }]) }
+    ]);
+
+    assert.deepStrictEqual(index.pages, [{ title: 'Pipelines', url: 'pipelines', category: 'Core Modules' }]);
+    assert.strictEqual(index.sections.length, 1, 'should skip sections without words to search');
+    assert.deepStrictEqual(index.sections[0], {
+      page: 0,
+      anchor: 'pipelines',
+      heading: 'Pipelines',
+      text: 'Pipelines connect streams',
+      identifiers: 'pipeline',
+    });
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Unit Tests for step files
+ *
+ * Tests which files in a step directory are rendered and in what order.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { languages, orderStepFiles, findVariant, isVariant, applySectionEdits } from '../../tools/steps.js';
+
+describe('orderStepFiles() - Unit Tests', () => {
+  it('puts the file named after the shell script first', () => {
+    const order = orderStepFiles(['a-helper.js', 'main.sh', 'main.js']);
+    assert.deepStrictEqual(order, ['main.js', 'a-helper.js', 'main.sh']);
+  });
+
+  it('sorts the remaining source files alphabetically', () => {
+    const order = orderStepFiles(['worker.mjs', 'server.js', 'config.json', 'server.sh']);
+    assert.deepStrictEqual(order, ['server.js', 'config.json', 'worker.mjs', 'server.sh']);
+  });
+
+  it('sorts everything alphabetically without a shell script', () => {
+    assert.deepStrictEqual(orderStepFiles(['b.js', 'a.cjs']), ['a.cjs', 'b.js']);
+  });
+
+  it('leaves out files with unknown extensions', () => {
+    assert.deepStrictEqual(orderStepFiles(['notes.txt', 'example.out', 'example.js']), ['example.js']);
+  });
+
+  it('detects the language from the extension', () => {
+    assert.strictEqual(languages['.mjs'], 'javascript');
+    assert.strictEqual(languages['.cjs'], 'javascript');
+    assert.strictEqual(languages['.ts'], 'typescript');
+    assert.strictEqual(languages['.json'], 'json');
+    assert.strictEqual(languages['.sh'], 'shell');
+  });
+});
+
+describe('TypeScript variants - Unit Tests', () => {
+  it('pairs a runnable file with the .ts file of the same name', () => {
+    assert.strictEqual(findVariant('classes.js', ['classes.js', 'classes.ts']), 'classes.ts');
+    assert.strictEqual(findVariant('worker.mjs', ['worker.mjs', 'worker.ts']), 'worker.ts');
+  });
+
+  it('finds no variant without a matching .ts file', () => {
+    assert.strictEqual(findVariant('main.js', ['main.js', 'other.ts']), null);
+    assert.strictEqual(findVariant('config.json', ['config.json', 'config.ts']), null);
+  });
+
+  it('treats only paired .ts files as variants', () => {
+    const names = ['main.js', 'main.ts', 'types.ts'];
+    assert.strictEqual(isVariant('main.ts', names), true);
+    assert.strictEqual(isVariant('types.ts', names), false);
+    assert.strictEqual(isVariant('main.js', names), false);
+  });
+});
+
+describe('applySectionEdits() - Unit Tests', () => {
+  const source = '// Setup\nconst a = 1;\n\n\n// Use it\nconsole.log(a);\n';
+
+  it('replaces the code of edited sections', () => {
+    assert.strictEqual(
+      applySectionEdits(source, { 1: 'console.log(a + 1);\n' }),
+      '// Setup\nconst a = 1;\n\n\nconsole.log(a + 1);\n'
+    );
+  });
+
+  it('leaves the source alone without edits', () => {
+    assert.strictEqual(applySectionEdits(source, {}), source);
+  });
+
+  it('rejects sections the file does not have', () => {
+    assert.throws(() => applySectionEdits(source, { 2: '' }), /There is no section 2/);
+    assert.throws(() => applySectionEdits(source, { '-1': '' }), /There is no section -1/);
+  });
+
+  it('rejects code that is not a string', () => {
+    assert.throws(() => applySectionEdits(source, { 0: 42 }), /must be a string/);
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Unit Tests for the text helpers
+ *
+ * Tests heading detection and the slugs used for section anchors.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { extractHeading, extractDirectives, slugify, stripTags, uniqueSlug } from '../../tools/text.js';
+
+describe('Text helpers - Unit Tests', () => {
+  it('takes the heading from the leading <b> of a comment', () => {
+    assert.strictEqual(extractHeading(' <b>Worker Pool</b> Reuse workers\n'), 'Worker Pool');
+  });
+
+  it('takes the heading from leading Markdown bold text', () => {
+    assert.strictEqual(extractHeading(' **Reconnection Logic** Retry with backoff\n'), 'Reconnection Logic');
+  });
+
+  it('has no heading when the comment does not start with <b>', () => {
+    assert.strictEqual(extractHeading(' Uses <b>bold</b> later on'), null);
+  });
+
+  it('strips tags and decodes entities', () => {
+    assert.strictEqual(stripTags('<span class="hljs-string">&quot;a &amp; b&quot;</span>'), '"a & b"');
+  });
+
+  it('turns headings into URL friendly slugs', () => {
+    assert.strictEqual(slugify('Reconnection Logic'), 'reconnection-logic');
+    assert.strictEqual(slugify('Promise.all() & friends!'), 'promise-all-friends');
+  });
+
+  it('de-duplicates slugs already used on the page', () => {
+    const used = new Set();
+    assert.strictEqual(uniqueSlug('example', used), 'example');
+    assert.strictEqual(uniqueSlug('example', used), 'example-2');
+    assert.strictEqual(uniqueSlug('example', used), 'example-3');
+  });
+
+  it('takes @node and @stability lines out of a comment', () => {
+    const { comment, directives } = extractDirectives(' @node 22.5.0\n <b>SQLite</b> is built in\n @stability experimental\n');
+    assert.strictEqual(comment, ' <b>SQLite</b> is built in\n');
+    assert.deepStrictEqual(directives, { node: '22.5.0', stability: 'experimental' });
+  });
+
+  it('leaves directives in the middle of a sentence alone', () => {
+    const { comment, directives } = extractDirectives(' Run with @node 22\n');
+    assert.strictEqual(comment, ' Run with @node 22\n');
+    assert.deepStrictEqual(directives, {});
+  });
+});
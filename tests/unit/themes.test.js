@@ -0,0 +1,45 @@
+/**
+ * Unit Tests for highlight themes
+ *
+ * Tests that highlight.js themes are scoped to the light or dark
+ * page theme and bundled into a single stylesheet.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { scopeCss, readTheme, buildThemeStylesheet } from '../../tools/themes.js';
+
+describe('scopeCss() - Unit Tests', () => {
+  it('prefixes every selector in a rule', () => {
+    assert.strictEqual(scopeCss('.a,.b .c{color:red}', '.dark'), '.dark .a,.dark .b .c{color:red}\n');
+  });
+
+  it('drops comments', () => {
+    assert.strictEqual(scopeCss('/* theme */.a{color:red}', '.dark'), '.dark .a{color:red}\n');
+  });
+
+  it('scopes rules inside @media blocks', () => {
+    assert.strictEqual(
+      scopeCss('@media print{.a{color:red}}', '.dark'),
+      '@media print{\n.dark .a{color:red}\n}\n'
+    );
+  });
+});
+
+describe('buildThemeStylesheet() - Unit Tests', () => {
+  it('bundles the light and dark themes', () => {
+    const css = buildThemeStylesheet({ light: 'github', dark: 'github-dark' });
+    assert.ok(css.includes('html:not([data-theme="dark"]) .hljs{'), 'should include the light theme');
+    assert.ok(css.includes('html[data-theme="dark"] .hljs{'), 'should include the dark theme');
+  });
+
+  it('keeps the license banner of each theme', () => {
+    const css = buildThemeStylesheet({ light: 'base16/solarized-light', dark: 'base16/solarized-dark' });
+    assert.ok(css.includes('Theme: Solarized Light'), 'should keep the light banner');
+    assert.ok(css.includes('Theme: Solarized Dark'), 'should keep the dark banner');
+  });
+
+  it('rejects themes highlight.js does not ship', () => {
+    assert.throws(() => readTheme('not-a-theme'), /Unknown highlight.js theme "not-a-theme"/);
+  });
+});
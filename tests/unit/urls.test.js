@@ -0,0 +1,63 @@
+/**
+ * Unit Tests for site addresses
+ *
+ * Tests that the base URL and base path combine into the site's absolute
+ * address and the path pages link with, which stays relative unless the
+ * site has a path.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { normalizeBasePath, siteAddress, pageUrl } from '../../tools/urls.js';
+
+describe('normalizeBasePath() - Unit Tests', () => {
+  it('starts and ends the path with a slash', () => {
+    assert.strictEqual(normalizeBasePath('learn/node'), '/learn/node/');
+    assert.strictEqual(normalizeBasePath('/learn/node//'), '/learn/node/');
+    assert.strictEqual(normalizeBasePath(''), '/');
+    assert.strictEqual(normalizeBasePath('/'), '/');
+  });
+});
+
+describe('siteAddress() - Unit Tests', () => {
+  it('links relatively when the site has no path', () => {
+    assert.deepStrictEqual(siteAddress({ baseUrl: 'https://nodejsbyexample.com/' }), {
+      baseUrl: 'https://nodejsbyexample.com',
+      basePath: './'
+    });
+  });
+
+  it('links from the root when that is the path given', () => {
+    assert.deepStrictEqual(siteAddress({ baseUrl: 'https://nodejsbyexample.com', basePath: '/' }), {
+      baseUrl: 'https://nodejsbyexample.com',
+      basePath: '/'
+    });
+  });
+
+  it('takes the path from the base URL unless given', () => {
+    assert.deepStrictEqual(siteAddress({ baseUrl: 'https://docs.example.com/learn/node' }), {
+      baseUrl: 'https://docs.example.com/learn/node',
+      basePath: '/learn/node/'
+    });
+    assert.deepStrictEqual(siteAddress({ baseUrl: 'https://docs.example.com/old', basePath: '/learn/node/' }), {
+      baseUrl: 'https://docs.example.com/learn/node',
+      basePath: '/learn/node/'
+    });
+  });
+
+  it('rejects a base URL that is not absolute', () => {
+    assert.throws(() => siteAddress({ baseUrl: 'docs.example.com' }), /Invalid URL/);
+  });
+});
+
+describe('pageUrl() - Unit Tests', () => {
+  it('links relatively by the bare slug', () => {
+    assert.strictEqual(pageUrl('timers', './'), 'timers');
+    assert.strictEqual(pageUrl('/', './'), '/');
+  });
+
+  it('prefixes the slug with the path', () => {
+    assert.strictEqual(pageUrl('timers', '/learn/node/'), '/learn/node/timers');
+    assert.strictEqual(pageUrl('/', '/learn/node/'), '/learn/node/');
+  });
+});
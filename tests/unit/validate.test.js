@@ -0,0 +1,136 @@
+/**
+ * Unit Tests for validateContents()
+ *
+ * Tests that every problem in a contents.json file is reported
+ * with the JSON path of the offending value.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'url';
+import { validateContents, formatProblems } from '../../tools/validate.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+/**
+ * Helper to load a contents file from the fixtures
+ */
+function readContents(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8'));
+}
+
+/**
+ * Helper to find the problem reported for a JSON path
+ */
+function problemAt(problems, jsonPath) {
+  return problems.find(problem => problem.path === jsonPath);
+}
+
+describe('validateContents() - Unit Tests', () => {
+  const problems = validateContents(readContents('invalid-contents.json'), FIXTURES_DIR);
+
+  it('reports duplicate slugs with the first use', () => {
+    const problem = problemAt(problems, 'categories[0].items[1].slug');
+    assert.ok(problem, 'should report the duplicate slug');
+    assert.ok(problem.message.includes('categories[0].items[0]'), 'should point at the first use');
+  });
+
+  it('reports directories used by more than one example', () => {
+    assert.ok(problemAt(problems, 'categories[0].items[2].dir'), 'should report the shared directory');
+  });
+
+  it('reports invalid slugs', () => {
+    assert.ok(problemAt(problems, 'categories[1].items[0].slug'), 'should report the slug with spaces');
+  });
+
+  it('reports missing titles and descriptions', () => {
+    assert.strictEqual(problemAt(problems, 'categories[1].items[1].title').message, 'is missing');
+    assert.strictEqual(problemAt(problems, 'categories[1].items[2].description').message, 'is missing');
+  });
+
+  it('reports directories that do not exist', () => {
+    assert.ok(problemAt(problems, 'categories[1].items[2].dir').message.includes('does-not-exist'));
+  });
+
+  it('reports invalid run flags', () => {
+    assert.ok(problemAt(problems, 'categories[1].items[1].run'), 'should report the non-boolean run flag');
+  });
+
+  it('reports steps left out of runs that do not exist', () => {
+    const item = { title: 'Runnable', description: 'Runs', dir: 'runnable' };
+    const stepProblems = validateContents({
+      categories: [{ name: 'Running', items: [
+        { ...item, slug: 'runnable', notRun: ['1', '7'] },
+        { ...item, slug: 'code-only', dir: 'code-only', notRun: '1' }
+      ] }]
+    }, FIXTURES_DIR);
+    assert.strictEqual(problemAt(stepProblems, 'categories[0].items[0].notRun').message, '"7" is not a step of runnable');
+    assert.strictEqual(problemAt(stepProblems, 'categories[0].items[1].notRun').message, 'must be a list of step directories');
+  });
+
+  it('reports permissions it does not know', () => {
+    const item = { title: 'Runnable', description: 'Runs', dir: 'runnable' };
+    const allowProblems = validateContents({
+      categories: [{ name: 'Running', items: [
+        { ...item, slug: 'runnable', allow: ['worker'] },
+        { ...item, slug: 'code-only', dir: 'code-only', allow: ['network'] }
+      ] }]
+    }, FIXTURES_DIR);
+    assert.strictEqual(problemAt(allowProblems, 'categories[0].items[0].allow'), undefined);
+    assert.strictEqual(problemAt(allowProblems, 'categories[0].items[1].allow').message, 'must be a list of "child-process", "worker"');
+  });
+
+  it('reports added dates that are not YYYY-MM-DD', () => {
+    assert.ok(problemAt(problems, 'categories[1].items[0].added'), 'should report the free-form date');
+  });
+
+  it('reports versions and stability levels that are not valid', () => {
+    assert.strictEqual(problemAt(problems, 'categories[3].items[1].node').message, 'must be a version like 22.5.0');
+    assert.ok(problemAt(problems, 'categories[3].items[0].stability').message.startsWith('must be one of'));
+  });
+
+  it('reports features newer than the declared minimum', () => {
+    const problem = problemAt(problems, 'categories[3].items[0].node');
+    assert.strictEqual(problem.message, 'is 20.0.0 but versioned/1/versioned.js section 1 uses node:sqlite, added in 22.5.0');
+  });
+
+  it('lets a section declare a newer minimum than its example', () => {
+    const versionProblems = problems.filter(problem => problem.path === 'categories[3].items[0].node');
+    assert.strictEqual(versionProblems.length, 1, 'should not report WebSocket in the @node 22.0.0 section');
+  });
+
+  it('reports categories without a name or items', () => {
+    assert.ok(problemAt(problems, 'categories[1].name'), 'should report the empty name');
+    assert.ok(problemAt(problems, 'categories[2].items'), 'should report the missing items');
+  });
+
+  it('reports example directories that are not listed', () => {
+    const orphans = problems.filter(problem => problem.message.includes('is not listed'));
+    assert.ok(orphans.some(problem => problem.message.includes('"runnable"')), 'should report runnable');
+  });
+
+  it('reports the missing directory in the fixtures contents', () => {
+    const fixtureProblems = validateContents(readContents('contents.json'), FIXTURES_DIR);
+    assert.ok(problemAt(fixtureProblems, 'categories[1].items[2].dir'), 'should report does-not-exist');
+  });
+
+  it('accepts the real examples', () => {
+    const examplesDir = path.join(__dirname, '..', '..', 'examples');
+    const contents = JSON.parse(fs.readFileSync(path.join(examplesDir, 'contents.json'), 'utf8'));
+    assert.deepStrictEqual(validateContents(contents, examplesDir), []);
+  });
+
+  it('rejects files without a categories array', () => {
+    assert.deepStrictEqual(validateContents({}, FIXTURES_DIR), [{ path: 'categories', message: 'must be an array' }]);
+  });
+
+  it('formats one problem per line', () => {
+    const output = formatProblems([{ path: 'categories[0].name', message: 'is missing' }], 'contents.json');
+    assert.strictEqual(output, 'contents.json: categories[0].name is missing');
+  });
+});
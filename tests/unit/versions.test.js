@@ -0,0 +1,68 @@
+/**
+ * Unit Tests for Node.js version checks
+ *
+ * Tests version comparison, backported features and finding the
+ * versioned modules, globals and flags an example uses.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { compareVersions, isVersion, introducedFor, supports, findRequirements } from '../../tools/versions.js';
+
+describe('compareVersions() - Unit Tests', () => {
+  it('compares versions part by part', () => {
+    assert.ok(compareVersions('22.10.0', '22.5.0') > 0);
+    assert.ok(compareVersions('18.0.0', '20.0.0') < 0);
+  });
+
+  it('treats missing parts as zero', () => {
+    assert.strictEqual(compareVersions('22', '22.0.0'), 0);
+  });
+
+  it('accepts only plain version numbers', () => {
+    assert.strictEqual(isVersion('22.5.0'), true);
+    assert.strictEqual(isVersion('22'), true);
+    assert.strictEqual(isVersion('v22'), false);
+    assert.strictEqual(isVersion('>=22'), false);
+  });
+});
+
+describe('supports() - Unit Tests', () => {
+  const watch = ['16.19.0', '18.11.0'];
+
+  it('uses the backport on release lines that got one', () => {
+    assert.strictEqual(introducedFor(watch, '16.20.0'), '16.19.0');
+    assert.strictEqual(supports('16.20.0', watch), true);
+    assert.strictEqual(supports('18.0.0', watch), false);
+  });
+
+  it('uses the next line for release lines without it', () => {
+    assert.strictEqual(introducedFor(watch, '17.9.0'), '18.11.0');
+    assert.strictEqual(supports('17.9.0', watch), false);
+  });
+
+  it('supports every release line after the one it landed on', () => {
+    assert.strictEqual(supports('20.0.0', watch), true);
+  });
+});
+
+describe('findRequirements() - Unit Tests', () => {
+  it('finds versioned node: modules', () => {
+    const found = findRequirements("import { DatabaseSync } from 'node:sqlite';\nimport fs from 'node:fs';\n", 'javascript');
+    assert.deepStrictEqual(found.map(requirement => requirement.feature), ['node:sqlite']);
+  });
+
+  it('finds versioned globals in code only', () => {
+    const found = findRequirements("// WebSocket is built in\nconst ws = new WebSocket(url);\nclient.navigator;\n", 'javascript');
+    assert.deepStrictEqual(found.map(requirement => requirement.feature), ['WebSocket']);
+  });
+
+  it('ignores module names outside of strings', () => {
+    assert.deepStrictEqual(findRequirements('// Uses node:sqlite\nconst x = 1;\n', 'javascript'), []);
+  });
+
+  it('finds versioned flags in node commands', () => {
+    const found = findRequirements('// Watch for changes\n$ node --watch app.js\n# --test is printed here\n', 'shell');
+    assert.deepStrictEqual(found, [{ feature: '--watch', since: ['16.19.0', '18.11.0'] }]);
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * Unit Tests for ZIP archives
+ *
+ * Tests that archives written for EPUB read back the same, keep their
+ * entry order and store entries uncompressed when asked.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { crc32, createZip, readZip } from '../../tools/zip.js';
+
+describe('crc32() - Unit Tests', () => {
+  it('matches the standard check value', () => {
+    assert.strictEqual(crc32(Buffer.from('123456789')), 0xcbf43926);
+  });
+});
+
+describe('createZip() - Unit Tests', () => {
+  const entries = [
+    { name: 'mimetype', data: 'application/epub+zip', store: true },
+    { name: 'OEBPS/chapter.xhtml', data: '<p>Hello</p>\n'.repeat(50) },
+  ];
+
+  it('reads back what was written, in order', () => {
+    const read = readZip(createZip(entries));
+    assert.deepStrictEqual(read.map(entry => entry.name), ['mimetype', 'OEBPS/chapter.xhtml']);
+    assert.deepStrictEqual(read.map(entry => entry.data.toString()), entries.map(entry => entry.data));
+  });
+
+  it('stores entries uncompressed only when asked', () => {
+    const [mimetype, chapter] = readZip(createZip(entries));
+    assert.strictEqual(mimetype.method, 0);
+    assert.strictEqual(chapter.method, 8);
+  });
+
+  it('writes the same archive for the same entries', () => {
+    assert.ok(createZip(entries).equals(createZip(entries)));
+  });
+
+  it('rejects files that are not archives', () => {
+    assert.throws(() => readZip(Buffer.from('not a zip')), /Not a ZIP archive/);
+  });
+});
@@ -0,0 +1,102 @@
+// JSON API
+// The tutorial as JSON documents, for sites that embed examples without
+// scraping the pages. Their format is described by the JSON Schemas in
+// templates/api, which are published next to them.
+
+import fs from "fs";
+import path from "path";
+import { log } from "./log.js";
+
+export const apiDir = "api";
+export const apiVersion = 1;
+
+const schemaFiles = ["index.schema.json", "example.schema.json"];
+
+function apiSection(section) {
+  return {
+    heading: section.heading,
+    anchor: section.anchor,
+    comment: section.comment,
+    code: section.source,
+    html: section.code,
+    node: section.node,
+    stability: section.stability,
+  };
+}
+
+function apiFile(file, baseUrl) {
+  return {
+    name: file.name,
+    language: file.lang,
+    url: `${baseUrl}/${file.url}`,
+    sections: file.sections.map(apiSection),
+  };
+}
+
+export function buildApiExample(example, baseUrl) {
+  return {
+    version: apiVersion,
+    slug: example.slug,
+    title: example.title,
+    description: example.description ?? null,
+    category: example.category,
+    url: `${baseUrl}/${example.slug}`,
+    node: example.node ?? null,
+    stability: example.stability ?? null,
+    added: example.added.toISOString(),
+    updated: example.updated.toISOString(),
+    previous: example.previous === "/" ? null : example.previous,
+    next: example.next === "/" ? null : example.next,
+    steps: example.steps.map(step => ({
+      step: step.step,
+      runnable: step.runnable,
+      files: step.files.map(file => ({
+        ...apiFile(file, baseUrl),
+        variant: file.variant ? apiFile(file.variant, baseUrl) : null,
+      })),
+      scripts: step.scripts.map(file => apiFile(file, baseUrl)),
+      output: step.output,
+    })),
+  };
+}
+
+export function buildApiIndex(model) {
+  const { baseUrl } = model.site;
+  return {
+    version: apiVersion,
+    title: model.site.title,
+    description: model.site.description,
+    url: `${baseUrl}/`,
+    categories: model.categories.map(category => ({
+      name: category.name,
+      examples: category.items.map(item => {
+        const example = model.examples.find(other => other.slug === item.slug);
+        return {
+          slug: example.slug,
+          title: example.title,
+          description: example.description ?? null,
+          url: `${baseUrl}/${example.slug}`,
+          api: `${baseUrl}/${apiDir}/${example.slug}.json`,
+        };
+      }),
+    })),
+  };
+}
+
+// Rewritten whole on every build, which is cheap and drops the documents of
+// removed examples
+export function writeApi(model, config) {
+  const dir = path.join(config.siteDir, apiDir);
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.mkdirSync(dir, { recursive: true });
+
+  const write = (file, document) => fs.writeFileSync(path.join(dir, file), JSON.stringify(document, null, 2) + "\n");
+  write("index.json", buildApiIndex(model));
+  for (const example of model.examples) {
+    write(`${example.slug}.json`, buildApiExample(example, model.site.baseUrl));
+  }
+  for (const file of schemaFiles) {
+    fs.copyFileSync(path.join(config.templateDir, apiDir, file), path.join(dir, file));
+  }
+  log.info(`Generated ${apiDir}/index.json and ${model.examples.length} example documents`);
+}
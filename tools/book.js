@@ -0,0 +1,37 @@
+// Printable book
+// Every example on one page, in contents.json order, for printing or saving as PDF
+
+import { stepSections } from "./steps.js";
+
+// Section anchors are only unique within a page, so in the book each one is
+// prefixed with its example's slug. Pages are copied, not changed.
+export function bookChapter(page) {
+  const prefix = slug => slug ? `${page.slug}-${slug}` : slug;
+  const contents = structuredClone(page.contents);
+  for (const section of contents.flatMap(stepSections)) {
+    section.slug = prefix(section.slug);
+    section.anchor = prefix(section.anchor);
+  }
+  return {
+    slug: page.slug,
+    title: page.title,
+    description: page.description,
+    node: page.node,
+    stability: page.stability,
+    toc: page.toc.map(entry => ({ ...entry, slug: prefix(entry.slug) })),
+    contents,
+  };
+}
+
+// Chapters grouped by category, leaving out examples that have no page
+export function bookCategories(categories, pages) {
+  return categories
+    .map(category => ({
+      name: category.name,
+      examples: category.items
+        .map(item => pages.find(page => page.slug === item.slug))
+        .filter(Boolean)
+        .map(bookChapter),
+    }))
+    .filter(category => category.examples.length > 0);
+}
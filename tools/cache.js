@@ -0,0 +1,62 @@
+// Build cache
+// Content hashes of everything an example is built from, so unchanged examples
+// can be skipped, and the state output plugins keep between builds
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+const CACHE_VERSION = 2;
+
+export function hashContent(...parts) {
+  const hash = crypto.createHash("sha256");
+  for (const part of parts) {
+    hash.update(typeof part === "string" ? part : JSON.stringify(part));
+    hash.update("\0");
+  }
+  return hash.digest("hex");
+}
+
+// Hashes file names and contents, so renames and deletions count as changes too
+export function hashDirectory(dir) {
+  const hash = crypto.createHash("sha256");
+  const walk = (current) => {
+    const entries = fs.readdirSync(current, { withFileTypes: true })
+      .sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      const entryPath = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        walk(entryPath);
+      } else if (entry.isFile()) {
+        hash.update(path.relative(dir, entryPath));
+        hash.update("\0");
+        hash.update(fs.readFileSync(entryPath));
+        hash.update("\0");
+      }
+    }
+  };
+  walk(dir);
+  return hash.digest("hex");
+}
+
+// A cache built for a different output directory or generator is thrown away
+export function loadCache(cacheFile, siteDir, buildKey) {
+  const empty = { version: CACHE_VERSION, siteDir: path.resolve(siteDir), buildKey, examples: {}, plugins: {} };
+  if (!fs.existsSync(cacheFile)) {
+    return empty;
+  }
+  try {
+    const cache = JSON.parse(fs.readFileSync(cacheFile, "utf8"));
+    if (cache.version !== CACHE_VERSION || cache.siteDir !== empty.siteDir || cache.buildKey !== buildKey) {
+      return empty;
+    }
+    return cache;
+  } catch {
+    return empty;
+  }
+}
+
+export function saveCache(cacheFile, cache) {
+  fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+  fs.writeFileSync(cacheFile, JSON.stringify(cache));
+}
@@ -0,0 +1,81 @@
+// Cleaning the output
+// Every build lists the files it wrote in the site, so a clean build can remove
+// exactly those, such as pages of examples that have since been removed, and
+// never anything else that lives in the same directory
+
+import fs from "fs";
+import path from "path";
+
+export const generatedListFile = ".nodejsbyexample-files.json";
+
+// Every file in the site, by path relative to it, with what changes when it's written
+export function snapshotSite(siteDir) {
+  const files = new Map();
+  if (!fs.existsSync(siteDir)) {
+    return files;
+  }
+  const walk = (current) => {
+    for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+      const entryPath = path.join(current, entry.name);
+      const name = path.relative(siteDir, entryPath).split(path.sep).join("/");
+      if (entry.isDirectory()) {
+        walk(entryPath);
+      } else if (entry.isFile() && name !== generatedListFile) {
+        const stats = fs.statSync(entryPath);
+        files.set(name, `${stats.mtimeMs}:${stats.size}`);
+      }
+    }
+  };
+  walk(siteDir);
+  return files;
+}
+
+// The files an earlier build listed, or null when no build has listed any.
+// Paths leading out of the site are ignored.
+export function readGeneratedList(siteDir) {
+  const listPath = path.join(siteDir, generatedListFile);
+  if (!fs.existsSync(listPath)) {
+    return null;
+  }
+  const { files } = JSON.parse(fs.readFileSync(listPath, "utf8"));
+  const root = path.resolve(siteDir);
+  return files.filter(file => path.resolve(root, file).startsWith(root + path.sep));
+}
+
+// A file is generated when this build created or rewrote it, or an earlier
+// build listed it and it's still there. `before` is the snapshot from before
+// the build.
+export function writeGeneratedList(siteDir, before, previous = []) {
+  const files = [];
+  for (const [name, stamp] of snapshotSite(siteDir)) {
+    if (before.get(name) !== stamp || previous.includes(name)) {
+      files.push(name);
+    }
+  }
+  fs.writeFileSync(path.join(siteDir, generatedListFile), JSON.stringify({ files: files.sort() }, null, 2) + "\n");
+  return files;
+}
+
+// Removes the files the last build listed, and directories left empty by
+// that. Returns the removed paths, or null when there is no list to go by.
+export function cleanSite(siteDir) {
+  const files = readGeneratedList(siteDir);
+  if (!files) {
+    return null;
+  }
+  const root = path.resolve(siteDir);
+  const removed = [];
+  for (const file of files) {
+    const filePath = path.join(root, file);
+    if (!fs.existsSync(filePath)) {
+      continue;
+    }
+    fs.rmSync(filePath, { force: true });
+    removed.push(file);
+    for (let dir = path.dirname(filePath); dir !== root && fs.readdirSync(dir).length === 0; dir = path.dirname(dir)) {
+      fs.rmdirSync(dir);
+    }
+  }
+  fs.rmSync(path.join(root, generatedListFile), { force: true });
+  return removed.sort();
+}
@@ -0,0 +1,100 @@
+// Command line
+// Turns the arguments of tools/generate.js into build options
+
+import { parseArgs } from "util";
+
+export const usage = `Usage: node tools/generate.js [options]
+
+  --out <dir>            where to write the site (./public)
+  --examples <dir>       where the examples are (./examples)
+  --templates <dir>      where the templates are (./templates)
+  --contents <file>      the table of contents (contents.json in the examples)
+  --base-url <url>       the address the site is published at
+  --base-path <path>     the path pages are served from (the path of --base-url)
+  --only <slug>          build only these examples; repeat or separate with commas
+  --config <file>        the configuration file (nodejsbyexample.config.js)
+  --clean                remove what earlier builds wrote first
+  --strict               fail on any problem in the table of contents
+  --run                  run the examples and show their output
+  --record               run the examples and update their .out files
+  --run-timeout <ms>     how long each step may run (5000)
+  --book                 also write the printable book
+  --epub                 also write the EPUB
+  --markdown             also write the Markdown export and llms.txt
+  --light-theme <name>   highlight.js theme for light mode
+  --dark-theme <name>    highlight.js theme for dark mode
+  --check                only check the table of contents
+  --verbose              list every page and how long each part took
+  --quiet                only show problems
+  --help                 show this help`;
+
+const options = {
+  "out": { type: "string" },
+  "examples": { type: "string" },
+  "templates": { type: "string" },
+  "contents": { type: "string" },
+  "base-url": { type: "string" },
+  "base-path": { type: "string" },
+  "only": { type: "string", multiple: true },
+  "config": { type: "string" },
+  "clean": { type: "boolean" },
+  "strict": { type: "boolean" },
+  "run": { type: "boolean" },
+  "record": { type: "boolean" },
+  "run-timeout": { type: "string" },
+  "book": { type: "boolean" },
+  "epub": { type: "boolean" },
+  "markdown": { type: "boolean" },
+  "light-theme": { type: "string" },
+  "dark-theme": { type: "string" },
+  "check": { type: "boolean" },
+  "verbose": { type: "boolean" },
+  "quiet": { type: "boolean" },
+  "help": { type: "boolean", short: "h" },
+};
+
+// Build options hold only what was given, so they override the configuration
+// file rather than resetting it. Throws on unknown or malformed options.
+export function parseCommandLine(args) {
+  const { values } = parseArgs({ args, options, strict: true, allowPositionals: false });
+  if (values.verbose && values.quiet) {
+    throw new Error("--verbose and --quiet can't be used together");
+  }
+  const runTimeout = values["run-timeout"] === undefined ? undefined : Number(values["run-timeout"]);
+  if (runTimeout !== undefined && !(Number.isInteger(runTimeout) && runTimeout > 0)) {
+    throw new Error("--run-timeout must be a number of milliseconds");
+  }
+
+  const given = (name, key, value = values[name]) => values[name] === undefined ? {} : { [key]: value };
+  const config = {
+    ...given("out", "siteDir"),
+    ...given("examples", "examplesDir"),
+    ...given("templates", "templateDir"),
+    ...given("contents", "contentsFile"),
+    ...given("base-url", "baseUrl"),
+    ...given("base-path", "basePath"),
+    ...given("only", "only", values.only?.flatMap(slugs => slugs.split(",")).filter(Boolean)),
+    ...given("clean", "clean"),
+    ...given("strict", "strict"),
+    ...(values.run || values.record ? { runExamples: true } : {}),
+    ...given("record", "recordOutput"),
+    ...given("run-timeout", "runTimeout", runTimeout),
+    ...given("book", "book"),
+    ...given("epub", "epub"),
+    ...given("markdown", "markdown"),
+  };
+  const themes = {
+    ...given("light-theme", "light"),
+    ...given("dark-theme", "dark"),
+  };
+  if (Object.keys(themes).length > 0) {
+    config.highlightThemes = themes;
+  }
+
+  return {
+    command: values.help ? "help" : values.check ? "check" : "build",
+    config,
+    configFile: values.config ?? null,
+    logLevel: values.verbose ? "verbose" : values.quiet ? "quiet" : "normal",
+  };
+}
@@ -0,0 +1,275 @@
+// Comment parsing
+// Splits a section of JavaScript into prose and code using a small tokenizer,
+// so comment markers inside strings, template literals and regexes are left alone.
+//
+// Which comments become prose:
+//   1. The comments a section starts with, before its first line of code. Both
+//      `//` comments and `/** */` doc comments count, at any indentation.
+//   2. After that, `//` comments that fill a whole line starting in column 0.
+// Everything else stays in the code: indented and trailing comments, plain
+// `/* */` blocks (used for sample config and commented-out code) and anything
+// inside a string.
+
+// Keywords after which a `/` starts a regex rather than a division
+const regexKeywords = new Set(["return", "typeof", "instanceof", "in", "of", "new", "delete", "void", "throw", "case", "do", "else", "yield", "await"]);
+
+function readQuoted(source, start, quote) {
+  let i = start + 1;
+  while (i < source.length && source[i] !== quote && source[i] !== "\n") {
+    i += source[i] === "\\" ? 2 : 1;
+  }
+  return Math.min(i + 1, source.length);
+}
+
+function readTemplate(source, start) {
+  let i = start + 1;
+  while (i < source.length && source[i] !== "`") {
+    if (source[i] === "\\") {
+      i += 2;
+    } else if (source[i] === "$" && source[i + 1] === "{") {
+      // Skip the embedded expression, which can itself hold strings and braces
+      let depth = 1;
+      i += 2;
+      while (i < source.length && depth > 0) {
+        const char = source[i];
+        if (char === "{") depth++;
+        else if (char === "}") depth--;
+        if (char === "'" || char === "\"") i = readQuoted(source, i, char);
+        else if (char === "`") i = readTemplate(source, i);
+        else i++;
+      }
+    } else {
+      i++;
+    }
+  }
+  return Math.min(i + 1, source.length);
+}
+
+function readRegex(source, start) {
+  let i = start + 1;
+  let inClass = false;
+  while (i < source.length && source[i] !== "\n") {
+    const char = source[i];
+    if (char === "\\") {
+      i += 2;
+      continue;
+    }
+    if (char === "[") inClass = true;
+    else if (char === "]") inClass = false;
+    else if (char === "/" && !inClass) break;
+    i++;
+  }
+  i++;
+  while (i < source.length && /[a-z]/i.test(source[i])) i++;
+  return Math.min(i, source.length);
+}
+
+function regexAllowed(previous) {
+  if (!previous) return true;
+  if (/[\w$]$/.test(previous)) {
+    const word = previous.match(/[\w$]+$/)[0];
+    return regexKeywords.has(word);
+  }
+  return !/[)\]}]$/.test(previous);
+}
+
+// Returns tokens of type "whitespace", "line-comment", "doc-comment",
+// "block-comment", "string", "regex" or "code" covering the whole source
+export function tokenize(source) {
+  const tokens = [];
+  let previousCode = "";
+  let i = 0;
+
+  const push = (type, start, end) => {
+    const last = tokens[tokens.length - 1];
+    if (type === "code" && last?.type === "code") {
+      last.text += source.slice(start, end);
+      last.end = end;
+    } else {
+      tokens.push({ type, text: source.slice(start, end), start, end });
+    }
+    if (type === "code" || type === "string" || type === "regex") {
+      previousCode = tokens[tokens.length - 1].text.trimEnd() || previousCode;
+    }
+  };
+
+  while (i < source.length) {
+    const char = source[i];
+    const next = source[i + 1];
+    let end;
+
+    if (/\s/.test(char)) {
+      end = i + 1;
+      while (end < source.length && /\s/.test(source[end])) end++;
+      push("whitespace", i, end);
+    } else if (char === "/" && next === "/") {
+      end = source.indexOf("\n", i);
+      end = end === -1 ? source.length : end;
+      push("line-comment", i, end);
+    } else if (char === "/" && next === "*") {
+      end = source.indexOf("*/", i + 2);
+      end = end === -1 ? source.length : end + 2;
+      const isDoc = source[i + 2] === "*" && source[i + 3] !== "/";
+      push(isDoc ? "doc-comment" : "block-comment", i, end);
+    } else if (char === "'" || char === "\"") {
+      end = readQuoted(source, i, char);
+      push("string", i, end);
+    } else if (char === "`") {
+      end = readTemplate(source, i);
+      push("string", i, end);
+    } else if (char === "/" && regexAllowed(previousCode)) {
+      end = readRegex(source, i);
+      push("regex", i, end);
+    } else {
+      end = i + 1;
+      push("code", i, end);
+    }
+    i = end;
+  }
+
+  return tokens;
+}
+
+function lineStartOf(source, offset) {
+  return source.lastIndexOf("\n", offset - 1) + 1;
+}
+
+// A comment counts when nothing but whitespace shares its lines
+function fillsWholeLines(source, token) {
+  const before = source.slice(lineStartOf(source, token.start), token.start);
+  let after = source.indexOf("\n", token.end);
+  after = source.slice(token.end, after === -1 ? source.length : after);
+  return before.trim() === "" && after.trim() === "";
+}
+
+function commentToProse(token) {
+  if (token.type === "line-comment") {
+    return token.text.slice(2) + "\n";
+  }
+  return token.text
+    .slice(3, -2)
+    .split("\n")
+    .map(line => line.replace(/^\s*\*(?!\/)/, ""))
+    .filter((line, index, lines) => line.trim() !== "" || (index > 0 && index < lines.length - 1))
+    .map(line => line + "\n")
+    .join("");
+}
+
+// Comments that are prose, and the start offsets of the lines they take up
+function findProse(source) {
+  const tokens = tokenize(source);
+  const proseTokens = new Set();
+  let leading = true;
+
+  for (const token of tokens) {
+    if (token.type === "whitespace") {
+      continue;
+    }
+    const isProseComment = (token.type === "line-comment" || token.type === "doc-comment") && fillsWholeLines(source, token);
+    if (leading && isProseComment) {
+      proseTokens.add(token);
+      continue;
+    }
+    leading = false;
+    if (token.type === "line-comment" && isProseComment && token.start === lineStartOf(source, token.start)) {
+      proseTokens.add(token);
+    }
+  }
+
+  const proseLines = new Set();
+  for (const token of proseTokens) {
+    let lineStart = lineStartOf(source, token.start);
+    while (lineStart <= token.end && lineStart < source.length) {
+      proseLines.add(lineStart);
+      const nextLine = source.indexOf("\n", lineStart);
+      if (nextLine === -1) break;
+      lineStart = nextLine + 1;
+    }
+  }
+
+  return { proseTokens, proseLines };
+}
+
+export function splitComments(source) {
+  // Lines taken up by prose, and blank lines before the first code, are dropped from the code
+  const { proseTokens, proseLines } = findProse(source);
+
+  let comment = "";
+  for (const token of proseTokens) {
+    comment += commentToProse(token);
+  }
+
+  let code = "";
+  let lineStart = 0;
+  let seenCode = false;
+  for (const line of source.split("\n")) {
+    if (!proseLines.has(lineStart) && (seenCode || line.trim() !== "")) {
+      code += line + "\n";
+      seenCode = true;
+    }
+    lineStart += line.length + 1;
+  }
+
+  return { comment, code };
+}
+
+// Other languages have no comment syntax of their own in the examples;
+// lines starting with `//` are prose there
+export function splitProseLines(source) {
+  let comment = "";
+  let code = "";
+  for (const line of source.split("\n")) {
+    if (line.startsWith("//")) {
+      comment += line.replace("//", "") + "\n";
+    } else {
+      code += line + "\n";
+    }
+  }
+  return { comment, code };
+}
+
+// The lines of a section in order, as runs of prose, code and blank lines, for
+// exports that keep the code exactly as written. Joined, the runs' `source`
+// gives back the section; prose runs also have their `text`. Blank lines
+// between code stay in the code.
+export function splitRuns(source, lang) {
+  const javascript = lang === "javascript" || lang === "typescript";
+  const { proseTokens, proseLines } = javascript ? findProse(source) : { proseTokens: new Set(), proseLines: new Set() };
+
+  const runs = [];
+  const lines = source.split("\n");
+  let lineStart = 0;
+  lines.forEach((line, index) => {
+    const text = index < lines.length - 1 ? `${line}\n` : line;
+    const isProse = javascript ? proseLines.has(lineStart) : line.startsWith("//");
+    const type = isProse ? "prose" : line.trim() === "" ? "blank" : "code";
+    if (runs.at(-1)?.type === type) {
+      runs.at(-1).source += text;
+    } else if (text) {
+      runs.push({ type, start: lineStart, source: text });
+    }
+    lineStart += line.length + 1;
+  });
+
+  const merged = [];
+  for (const [index, run] of runs.entries()) {
+    const previous = merged.at(-1);
+    if (run.type === "blank" && previous?.type === "code" && runs[index + 1]?.type === "code") {
+      previous.source += run.source;
+    } else if (run.type === "code" && previous?.type === "code") {
+      previous.source += run.source;
+    } else {
+      merged.push(run);
+    }
+  }
+
+  return merged.map(({ type, start, source: runSource }) => {
+    if (type !== "prose") {
+      return { type, source: runSource };
+    }
+    const text = javascript
+      ? [...proseTokens].filter(token => token.start >= start && token.start < start + runSource.length).map(commentToProse).join("")
+      : runSource.split("\n").filter(Boolean).map(line => line.replace("//", "") + "\n").join("");
+    return { type, source: runSource, text };
+  });
+}
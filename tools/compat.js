@@ -0,0 +1,248 @@
+// Compatibility matrix
+// Runs every example against each installed Node.js and records which release
+// lines it works on, so the site can show it and CI can catch regressions
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { execFileSync } from "child_process";
+import { orderStepFiles, runnableExtensions } from "./steps.js";
+import { runExample, formatOutput, checkExpectation } from "./runner.js";
+import { baselineVersion, compareVersions } from "./versions.js";
+
+export const defaultNodePaths = [
+  process.execPath,
+  "~/.nvm/versions/node/*/bin/node",
+  "~/.local/share/fnm/node-versions/*/installation/bin/node",
+  "~/.volta/tools/image/node/*/bin/node",
+  "/usr/local/n/versions/node/*/bin/node",
+];
+
+// Step statuses, most important first: one failing step fails the whole example
+export const statuses = ["failed", "passed", "skipped", "not-run"];
+
+// Expands `~` and a `*` in any directory of the path
+export function expandPath(pattern) {
+  const absolute = pattern.replace(/^~(?=$|\/)/, os.homedir());
+  const parts = absolute.split("/");
+  const star = parts.findIndex(part => part === "*");
+  if (star === -1) {
+    return fs.existsSync(absolute) ? [absolute] : [];
+  }
+
+  const parent = parts.slice(0, star).join("/") || "/";
+  if (!fs.existsSync(parent)) {
+    return [];
+  }
+  return fs.readdirSync(parent)
+    .sort()
+    .flatMap(name => expandPath([parent, name, ...parts.slice(star + 1)].join("/")));
+}
+
+// One binary per release line, the newest one found
+export function discoverNodes(patterns = defaultNodePaths) {
+  const byMajor = new Map();
+  for (const nodePath of patterns.flatMap(expandPath)) {
+    let version;
+    try {
+      version = execFileSync(nodePath, ["--version"], { encoding: "utf8", timeout: 5000 }).trim().replace(/^v/, "");
+    } catch {
+      continue;
+    }
+    const major = version.split(".")[0];
+    if (!byMajor.has(major) || compareVersions(version, byMajor.get(major).version) > 0) {
+      byMajor.set(major, { version, major, path: nodePath });
+    }
+  }
+  return [...byMajor.values()].sort((a, b) => compareVersions(a.version, b.version));
+}
+
+// The file each step runs: the same one the generator captures output from
+export function exampleSteps(examplesDir, item) {
+  const dirPath = path.join(examplesDir, item.dir);
+  if (!fs.existsSync(dirPath)) {
+    return [];
+  }
+  return fs.readdirSync(dirPath, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .sort((a, b) => parseInt(a.name) - parseInt(b.name))
+    .map(entry => {
+      const names = fs.readdirSync(path.join(dirPath, entry.name));
+      const file = orderStepFiles(names).find(name => runnableExtensions.includes(path.extname(name)));
+      return file ? { step: entry.name, file: path.join(dirPath, entry.name, file) } : null;
+    })
+    .filter(Boolean);
+}
+
+// A run passes when it exits with the code the example expects (0 unless
+// contents.json says otherwise) and matches its recorded output, if it has one
+function runStep(file, node, { timeout, exitCode = 0, allow }) {
+  const result = runExample(file, { nodePath: node.path, nodeVersion: node.version, timeout, allow });
+  const output = formatOutput(result);
+  if (result.timedOut || result.status !== exitCode) {
+    return { status: "failed", reason: result.timedOut ? "timed out" : `exited with ${result.status}`, output };
+  }
+  if (!checkExpectation(file, output).matches) {
+    return { status: "failed", reason: "output differs from the .out file", output };
+  }
+  return { status: "passed" };
+}
+
+export function runMatrix(contents, examplesDir, nodes, { timeout = 5000, onResult = () => {} } = {}) {
+  const examples = [];
+
+  for (const item of contents.categories.flatMap(category => category.items)) {
+    const minimum = item.node ?? baselineVersion;
+    const steps = exampleSteps(examplesDir, item).map(({ step, file }) => {
+      const results = {};
+      for (const node of nodes) {
+        let result;
+        if (item.run === false || item.notRun?.includes(step)) {
+          result = { status: "not-run" };
+        } else if (compareVersions(node.version, minimum) < 0) {
+          result = { status: "skipped" };
+        } else {
+          result = runStep(file, node, { timeout, exitCode: item.exitCode, allow: item.allow });
+        }
+        results[node.major] = result.status;
+        onResult({ slug: item.slug, step, file, node, ...result });
+      }
+      return { step, file: path.relative(examplesDir, file).split(path.sep).join("/"), results };
+    });
+    examples.push({ slug: item.slug, title: item.title, node: item.node ?? null, steps });
+  }
+
+  return { versions: nodes.map(node => node.version), examples };
+}
+
+// Steps that passed on a release line in the recorded matrix and fail on it now
+export function findRegressions(recorded, current) {
+  const regressions = [];
+  for (const example of current.examples) {
+    const before = recorded.examples.find(other => other.slug === example.slug);
+    for (const step of example.steps) {
+      const previous = before?.steps.find(other => other.step === step.step);
+      for (const [major, status] of Object.entries(step.results)) {
+        if (status === "failed" && previous?.results[major] === "passed") {
+          regressions.push({ slug: example.slug, step: step.step, major });
+        }
+      }
+    }
+  }
+  return regressions;
+}
+
+// Every failing step. The matrix only runs a step on release lines its example
+// says it supports, so each one is a version the example claims and breaks on.
+export function findFailures(matrix) {
+  const failures = [];
+  for (const example of matrix.examples) {
+    for (const step of example.steps) {
+      for (const [major, status] of Object.entries(step.results)) {
+        if (status === "failed") {
+          failures.push({ slug: example.slug, step: step.step, major });
+        }
+      }
+    }
+  }
+  return failures;
+}
+
+// The status of an example on a release line
+export function summarize(example, major) {
+  const results = example.steps.map(step => step.results[major]).filter(Boolean);
+  return statuses.find(status => results.includes(status)) ?? null;
+}
+
+// Rows for the compatibility page, leaving out release lines nothing ran on
+export function compatibilityTable(matrix) {
+  const versions = matrix.versions
+    .map(version => ({ version, major: version.split(".")[0] }))
+    .filter(({ major }) => matrix.examples.some(example => ["passed", "failed"].includes(summarize(example, major))));
+
+  const examples = matrix.examples.map(example => ({
+    slug: example.slug,
+    title: example.title,
+    node: example.node,
+    results: versions.map(({ major }) => ({
+      status: summarize(example, major) ?? "not-run",
+      failedSteps: example.steps.filter(step => step.results[major] === "failed").map(step => step.step),
+    })),
+  }));
+
+  return { versions, examples };
+}
+
+export function readMatrix(file) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+}
+
+export function writeMatrix(file, matrix) {
+  fs.writeFileSync(file, JSON.stringify(matrix, null, 2) + "\n");
+}
+
+function printMatrix(matrix) {
+  const majors = matrix.versions.map(version => version.split(".")[0]);
+  const width = Math.max(...matrix.examples.map(example => example.slug.length), 7);
+  console.log(["example".padEnd(width), ...majors.map(major => `v${major}`.padEnd(8))].join("  "));
+  for (const example of matrix.examples) {
+    console.log([example.slug.padEnd(width), ...majors.map(major => (summarize(example, major) ?? "-").padEnd(8))].join("  "));
+  }
+}
+
+// CLI entry point
+//   node tools/compat.js                  run and print the matrix
+//   node tools/compat.js --record         also save it for the site, unless a step fails
+//   node tools/compat.js --check          fail when any step fails, and say which passed before
+//   --nodes=<path>,<path>                 where to look for node binaries, `*` matches a directory
+//   --timeout=<ms>                        how long each step may run (5000)
+const isMainModule = import.meta.url === `file://${process.argv[1]}`;
+if (isMainModule) {
+  const flagValue = (name) => process.argv.find(arg => arg.startsWith(`--${name}=`))?.slice(name.length + 3);
+  const examplesDir = "./examples";
+  const matrixFile = path.join(examplesDir, "compatibility.json");
+  const contents = JSON.parse(fs.readFileSync(path.join(examplesDir, "contents.json"), "utf8"));
+
+  const timeout = flagValue("timeout") === undefined ? undefined : Number(flagValue("timeout"));
+  if (timeout !== undefined && !(Number.isInteger(timeout) && timeout > 0)) {
+    throw new Error("--timeout must be a number of milliseconds");
+  }
+
+  const nodes = discoverNodes(flagValue("nodes")?.split(",") ?? defaultNodePaths);
+  console.log(`Testing against Node.js ${nodes.map(node => node.version).join(", ")}`);
+
+  const matrix = runMatrix(contents, examplesDir, nodes, {
+    timeout,
+    onResult: ({ slug, step, node, status, reason, output }) => {
+      if (status === "failed") {
+        console.log(`\n${slug} step ${step} failed on ${node.version}: ${reason}\n${output ?? ""}`.trimEnd());
+      }
+    },
+  });
+  console.log();
+  printMatrix(matrix);
+
+  const failures = findFailures(matrix);
+  if (process.argv.includes("--check")) {
+    const recorded = readMatrix(matrixFile);
+    const regressions = recorded ? findRegressions(recorded, matrix) : [];
+    for (const { slug, step, major } of failures) {
+      const regressed = regressions.some(other => other.slug === slug && other.step === step && other.major === major);
+      console.error(regressed
+        ? `Regression: ${slug} step ${step} passed on Node.js ${major} but fails now`
+        : `${slug} step ${step} fails on Node.js ${major}, which it says it supports`);
+    }
+    process.exitCode = failures.length > 0 ? 1 : 0;
+  }
+
+  if (process.argv.includes("--record")) {
+    if (failures.length > 0) {
+      // A failure on a supported version is a broken example or a wrong `node`
+      console.error(`\nNot saving ${matrixFile}: fix the failing steps or the versions their examples declare`);
+      process.exitCode = 1;
+    } else {
+      writeMatrix(matrixFile, matrix);
+      console.log(`\nSaved ${matrixFile}`);
+    }
+  }
+}
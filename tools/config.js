@@ -0,0 +1,25 @@
+// Configuration file
+// nodejsbyexample.config.js in the working directory can set any build option,
+// including which output plugins run
+
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+
+export const configFile = "nodejsbyexample.config.js";
+
+// An empty configuration when there is no file, unless it's `required`
+// because it was asked for by name
+export async function loadConfigFile(file = configFile, { required = false } = {}) {
+  if (!fs.existsSync(file)) {
+    if (required) {
+      throw new Error(`There is no configuration file ${file}`);
+    }
+    return {};
+  }
+  const { default: config } = await import(pathToFileURL(path.resolve(file)).href);
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new Error(`${file} must export a configuration object as its default export`);
+  }
+  return config;
+}
@@ -0,0 +1,74 @@
+// EPUB export
+// The whole tutorial as an EPUB 3 book with a chapter per example, built from
+// the same pages as the site and without any network access
+
+import fs from "fs";
+import path from "path";
+import { createZip } from "./zip.js";
+import { escapeXml, stripInvalidXml } from "./text.js";
+import { log } from "./log.js";
+
+export const epubFile = "nodejs-by-example.epub";
+
+const bookTitle = "Node.js by Example";
+
+export function containerXml() {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/package.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`;
+}
+
+// `modified` is required by EPUB 3, to the second and in UTC
+export function packageOpf({ identifier, modified, chapters }) {
+  const items = chapters.map(chapter =>
+    `    <item id="chapter-${chapter.slug}" href="${chapter.slug}.xhtml" media-type="application/xhtml+xml"/>\n`
+  ).join("");
+  const itemrefs = chapters.map(chapter => `    <itemref idref="chapter-${chapter.slug}"/>\n`).join("");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="en">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">${escapeXml(identifier)}</dc:identifier>
+    <dc:title>${bookTitle}</dc:title>
+    <dc:creator>${bookTitle}</dc:creator>
+    <dc:language>en</dc:language>
+    <meta property="dcterms:modified">${modified.toISOString().replace(/\.\d{3}Z$/, "Z")}</meta>
+  </metadata>
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+    <item id="styles" href="styles.css" media-type="text/css"/>
+${items}  </manifest>
+  <spine>
+    <itemref idref="nav"/>
+${itemrefs}  </spine>
+</package>
+`;
+}
+
+// Expects the categories of bookCategories(); `render(template, data)` renders
+// the XHTML templates in templates/epub
+export function buildEpub(categories, { render, stylesheet, identifier, modified }) {
+  const chapters = categories.flatMap(category =>
+    category.examples.map(example => ({ ...example, category: category.name }))
+  );
+
+  // The mimetype has to come first and uncompressed, so readers can recognise
+  // the file from its first bytes
+  return createZip([
+    { name: "mimetype", data: "application/epub+zip", store: true },
+    { name: "META-INF/container.xml", data: containerXml() },
+    { name: "OEBPS/package.opf", data: stripInvalidXml(packageOpf({ identifier, modified, chapters })) },
+    { name: "OEBPS/nav.xhtml", data: stripInvalidXml(render("epub/nav", { categories })) },
+    { name: "OEBPS/styles.css", data: stylesheet },
+    ...chapters.map(chapter => ({ name: `OEBPS/${chapter.slug}.xhtml`, data: stripInvalidXml(render("epub/chapter", chapter)) })),
+  ]);
+}
+
+export function writeEpub(siteDir, categories, options) {
+  fs.writeFileSync(path.join(siteDir, epubFile), buildEpub(categories, options));
+  log.info(`Generated ${epubFile}`);
+}
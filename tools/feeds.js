@@ -0,0 +1,93 @@
+// Atom and RSS feeds
+// List the most recently added or updated examples for subscribers
+
+import fs from "fs";
+import path from "path";
+import { escapeXml } from "./text.js";
+import { log } from "./log.js";
+
+const siteTitle = "Node.js by Example";
+const feedLength = 20;
+
+// Newest first; expects examples with `added` and `updated` dates
+export function feedEntries(examples, limit = feedLength) {
+  return [...examples]
+    .sort((a, b) => b.updated - a.updated || a.title.localeCompare(b.title))
+    .slice(0, limit);
+}
+
+function summary(example) {
+  const description = example.description ?? "";
+  const isNew = example.updated.getTime() === example.added.getTime();
+  return isNew ? description : `Updated: ${description}`;
+}
+
+export function buildAtomFeed(examples, baseUrl) {
+  const entries = feedEntries(examples);
+  const updated = entries[0]?.updated ?? new Date(0);
+
+  let feed = `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${siteTitle}</title>
+  <id>${baseUrl}/</id>
+  <link href="${baseUrl}/"/>
+  <link rel="self" href="${baseUrl}/atom.xml"/>
+  <updated>${updated.toISOString()}</updated>
+`;
+
+  for (const example of entries) {
+    const url = `${baseUrl}/${example.slug}`;
+    feed += `  <entry>
+    <title>${escapeXml(example.title)}</title>
+    <id>${url}</id>
+    <link href="${url}"/>
+    <published>${example.added.toISOString()}</published>
+    <updated>${example.updated.toISOString()}</updated>
+    <category term="${escapeXml(example.category)}"/>
+    <summary>${escapeXml(summary(example))}</summary>
+    <author><name>${siteTitle}</name></author>
+  </entry>
+`;
+  }
+
+  return feed + `</feed>\n`;
+}
+
+// RSS has no separate updated date, so each update gets its own guid and
+// shows up again in readers
+export function buildRssFeed(examples, baseUrl) {
+  const entries = feedEntries(examples);
+  const updated = entries[0]?.updated ?? new Date(0);
+
+  let feed = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0">
+  <channel>
+    <title>${siteTitle}</title>
+    <link>${baseUrl}/</link>
+    <description>New and updated Node.js by Example examples</description>
+    <lastBuildDate>${updated.toUTCString()}</lastBuildDate>
+`;
+
+  for (const example of entries) {
+    const url = `${baseUrl}/${example.slug}`;
+    feed += `    <item>
+      <title>${escapeXml(example.title)}</title>
+      <link>${url}</link>
+      <guid isPermaLink="false">${url}#${example.updated.toISOString()}</guid>
+      <pubDate>${example.updated.toUTCString()}</pubDate>
+      <category>${escapeXml(example.category)}</category>
+      <description>${escapeXml(summary(example))}</description>
+    </item>
+`;
+  }
+
+  return feed + `  </channel>
+</rss>
+`;
+}
+
+export function writeFeeds(examples, baseUrl, siteDir) {
+  fs.writeFileSync(path.join(siteDir, "atom.xml"), buildAtomFeed(examples, baseUrl));
+  fs.writeFileSync(path.join(siteDir, "feed.xml"), buildRssFeed(examples, baseUrl));
+  log.info("Generated atom.xml and feed.xml");
+}
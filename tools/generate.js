@@ -1,189 +1,448 @@
 import fs from "fs";
 import path from "path";
-import pug from "pug";
+import { fileURLToPath } from "url";
 import hljs from 'highlight.js';
+import { hashContent, hashDirectory, loadCache, saveCache } from "./cache.js";
+import { validateContents, formatProblems } from "./validate.js";
+import { languages, runnableExtensions, orderStepFiles, stepSections, findVariant, isVariant } from "./steps.js";
+import { splitComments, splitProseLines } from "./comments.js";
+import { defaultThemes } from "./themes.js";
+import { exampleDates, headCommit } from "./history.js";
+import { readMatrix, compatibilityTable } from "./compat.js";
+import { isVersion, compareVersions } from "./versions.js";
+import { loadConfigFile } from "./config.js";
+import { cleanSite, snapshotSite, readGeneratedList, writeGeneratedList, generatedListFile } from "./clean.js";
+import { parseCommandLine, usage } from "./cli.js";
+import { resolvePlugins, runPlugins, writeStepFiles, renderExamplePage } from "./plugins.js";
+import { extractHeading, extractDirectives, slugify, uniqueSlug, reservedIds } from "./text.js";
+import { runExample, formatOutput, checkExpectation, recordExpectation, expectationPath, typeStrippingFlags } from "./runner.js";
+import { siteAddress } from "./urls.js";
+import { log, setLogLevel } from "./log.js";
 
 // Default configuration
 const defaultConfig = {
   siteDir: "./public",
   templateDir: "./templates",
   examplesDir: "./examples",
-  contentsFile: "./examples/contents.json"
+  // contents.json in the examples directory unless given
+  contentsFile: null,
+  // Files kept in the repository that every site needs, copied when the site
+  // is written somewhere else
+  staticDir: "./public",
+  runExamples: false,
+  recordOutput: false,
+  runTimeout: 5000,
+  cacheFile: null,
+  clean: false,
+  strict: false,
+  legacyHtml: true,
+  offline: true,
+  book: false,
+  epub: false,
+  markdown: false,
+  runButtons: false,
+  baseUrl: "https://nodejsbyexample.com",
+  // The path of baseUrl unless given
+  basePath: null,
+  only: null,
+  compatibilityFile: null,
+  highlightThemes: defaultThemes,
+  plugins: null
 };
 
-export function renderSinglePage(filePath, contents, filenameOverride, config = defaultConfig) {
-  const { siteDir, templateDir } = config;
-  console.log(`Attempting to render ${filePath}/${filenameOverride ?? ""}`);
-  if (!filePath.endsWith(".pug")) {
-    filePath = filePath + ".pug";
-  }
-  const templatePath = path.join(templateDir, filePath);
-  const template = fs.readFileSync(templatePath, "utf8");
-  const html = pug.render(template, {
-    pretty: true,
-    filename: templatePath,
-    data: contents
-  });
-
-  if (filenameOverride) {
-    filePath = `${filenameOverride}.pug`;
-  }
-  const htmlFile = filePath.replace(".pug", ".html");
-  const htmlPath = path.join(siteDir, htmlFile);
-  fs.writeFileSync(htmlPath, html);
-}
+const toolsDir = path.dirname(fileURLToPath(import.meta.url));
 
-export function extractCode(sections, lang) {
+export function extractCode(sections, lang, usedSlugs = new Set(reservedIds)) {
   const contents = [];
   for (const section of sections) {
-    let comment = "";
-    let script = "";
-    const lines = section.split("\n");
-    for (const line of lines) {
-      if (line.startsWith("//")) {
-        comment += line.replace("//", "") + "\n";
-      } else {
-        script += line + "\n";
-      }
-    }
+    const split = lang === "javascript" || lang === "typescript"
+      ? splitComments(section)
+      : splitProseLines(section);
+    const { comment, directives } = extractDirectives(split.comment);
+    const heading = extractHeading(comment);
     contents.push({
       comment,
-      code: hljs.highlight(script, { language: lang, ignoreIllegals: true }).value,
+      source: split.code,
+      code: hljs.highlight(split.code, { language: lang, ignoreIllegals: true }).value,
+      heading,
+      slug: heading ? uniqueSlug(slugify(heading) || "section", usedSlugs) : null,
+      node: directives.node ?? null,
+      stability: directives.stability ?? null,
     });
   }
 
   return contents;
 }
 
-export function renderSingleExamplePage(exampleMeta, config = defaultConfig) {
+// `minimum` is the newest Node.js the step declares it needs, which this one
+// may be older than, like compat.js skips
+export function captureOutput(filePath, exampleMeta, config = defaultConfig, minimum = exampleMeta.node) {
+  const { runExamples, recordOutput, runTimeout } = config;
+  if (!runExamples || exampleMeta.run === false) {
+    return null;
+  }
+  if (minimum && compareVersions(process.versions.node, minimum) < 0) {
+    log.info(`Skipping ${filePath} as it needs Node.js ${minimum}`);
+    return null;
+  }
+
+  log.info(`Running ${filePath}`);
+  const result = runExample(filePath, { timeout: runTimeout, allow: exampleMeta.allow });
+  const output = formatOutput(result);
+
+  // A crash would otherwise be published as the example's output
+  const exitCode = exampleMeta.exitCode ?? 0;
+  if (result.timedOut || result.status !== exitCode) {
+    const outcome = result.timedOut ? "timed out" : `exited with ${result.status}`;
+    throw new Error(`${filePath} ${outcome} but ${exampleMeta.slug} expects exit code ${exitCode}:\n${output}`);
+  }
+
+  // Recording only refreshes existing `.out` files; create an empty one to opt an example in
+  if (recordOutput) {
+    if (fs.existsSync(expectationPath(filePath))) {
+      recordExpectation(filePath, output);
+    }
+    return { output, status: result.status };
+  }
+
+  const { matches } = checkExpectation(filePath, output);
+  if (!matches) {
+    throw new Error(`Output of ${filePath} no longer matches ${expectationPath(filePath)}`);
+  }
+  return { output, status: result.status };
+}
+
+// Runs a TypeScript variant with Node's type stripping. It has to exit the same
+// way as the JavaScript it translates and print the same output.
+export function checkVariantOutput(variantPath, filePath, captured, config = defaultConfig, allow = []) {
+  const nodeArgs = typeStrippingFlags();
+  if (!nodeArgs) {
+    log.info(`Skipping ${variantPath} as Node.js ${process.versions.node} cannot strip types`);
+    return;
+  }
+
+  log.info(`Running ${variantPath}`);
+  const result = runExample(variantPath, { timeout: config.runTimeout, nodeArgs, allow });
+  const output = formatOutput(result);
+
+  if (result.status !== captured.status) {
+    throw new Error(`${variantPath} exited with ${result.status} but ${filePath} exited with ${captured.status}:\n${output}`);
+  }
+  if (output !== captured.output) {
+    throw new Error(`Output of ${variantPath} differs from ${filePath}:\n${output}`);
+  }
+}
+
+// Reads an example's steps into the model, running them when configured to.
+// Returns null when the example has no directory.
+export function readExample(exampleMeta, config = defaultConfig) {
   const { examplesDir } = config;
   const dirPath = path.join(examplesDir, exampleMeta.dir);
   const isDir = fs.existsSync(dirPath);
   if (!isDir) {
-    console.log(`Skipping ${exampleMeta.dir} as it is not a directory`);
-    return;
+    log.info(`Skipping ${exampleMeta.dir} as it is not a directory`);
+    return null;
   };
 
   // collect subirs in numeric order
   const subDirs = fs.readdirSync(dirPath, { withFileTypes: true }).filter(file => file.isDirectory()).sort((a, b) => parseInt(a.name) - parseInt(b.name));
 
-  const pageContents = [];
+  const steps = [];
+  const usedSlugs = new Set(reservedIds);
 
   for (const subDir of subDirs) {
-    const files = fs.readdirSync(`${dirPath}/${subDir.name}`, { withFileTypes: true }).filter(file => file.isFile())
+    const stepDir = path.join(dirPath, subDir.name);
+    const files = fs.readdirSync(stepDir, { withFileTypes: true }).filter(file => file.isFile())
 
     if (files.length === 0) {
-      console.log(`Skipping ${exampleMeta.dir}/${subDir.dir} as it does not have any files`);
+      log.info(`Skipping ${exampleMeta.dir}/${subDir.name} as it does not have any files`);
       continue;
     }
 
-    const codeFile = files.find(file => file.name.endsWith(".js"));
-    const scriptFile = files.find(file => file.name.endsWith(".sh"));
+    const stepFiles = orderStepFiles(files.map(file => file.name));
 
-    if (!codeFile && !scriptFile) {
-      console.log(`Skipping ${exampleMeta.dir}/${subDir.dir} as it does not have a code or script file`);
+    if (stepFiles.length === 0) {
+      log.info(`Skipping ${exampleMeta.dir}/${subDir.name} as it does not have a code or script file`);
       continue;
     };
 
-    const codeFileContents = codeFile ? fs.readFileSync(path.join(`${dirPath}/${subDir.name}`, codeFile.name), "utf8") : null;
-    const scriptFileContents = scriptFile ? fs.readFileSync(path.join(`${dirPath}/${subDir.name}`, scriptFile.name), "utf8") : null;
+    const readStepFile = (name, slugs = usedSlugs) => {
+      const lang = languages[path.extname(name)];
+      const source = fs.readFileSync(path.join(stepDir, name), "utf8");
+      const url = `examples/${exampleMeta.slug}/${subDir.name}/${name}`;
+      return { name, lang, url, sections: extractCode(source.split("\n\n\n"), lang, slugs) };
+    };
+
+    // Variants share their anchors with the JavaScript they translate
+    const readVariant = (name) => {
+      const variant = readStepFile(name, new Set());
+      variant.sections.forEach(section => { section.slug = null; });
+      return variant;
+    };
+
+    const sourceFiles = stepFiles
+      .filter(name => languages[path.extname(name)] !== "shell" && !isVariant(name, stepFiles))
+      .map(name => {
+        const variantName = findVariant(name, stepFiles);
+        return { ...readStepFile(name), variant: variantName ? readVariant(variantName) : null };
+      });
+    const scriptFiles = stepFiles.filter(name => languages[path.extname(name)] === "shell").map(name => readStepFile(name));
 
-    const codeSections = codeFileContents ? codeFileContents.split("\n\n\n") : [];
-    const scriptSections = scriptFileContents ? scriptFileContents.split("\n\n\n") : [];
+    const entryFile = sourceFiles.find(file => runnableExtensions.includes(path.extname(file.name)));
+    const runnable = Boolean(entryFile) && exampleMeta.run !== false && !exampleMeta.notRun?.includes(subDir.name);
+    const minimum = [exampleMeta.node, ...sourceFiles.flatMap(file => file.sections.map(section => section.node))]
+      .filter(version => version && isVersion(version))
+      .reduce((newest, version) => !newest || compareVersions(version, newest) > 0 ? version : newest, null);
+    const captured = runnable
+      ? captureOutput(path.join(stepDir, entryFile.name), exampleMeta, config, minimum)
+      : null;
 
-    pageContents.push({
-      code: extractCode(codeSections, "javascript"),
-      script: extractCode(scriptSections, "shell"),
+    if (captured && entryFile.variant) {
+      checkVariantOutput(path.join(stepDir, entryFile.variant.name), path.join(stepDir, entryFile.name), captured, config, exampleMeta.allow);
+    }
+
+    steps.push({
+      step: subDir.name,
+      files: sourceFiles,
+      scripts: scriptFiles,
+      output: captured?.output ?? null,
+      runnable,
     });
   }
 
-  renderSinglePage("content",
-    {
-      contents: pageContents,
-      title: exampleMeta.title,
-      slug: exampleMeta.slug,
-      description: exampleMeta.description,
-      next: exampleMeta.next,
-      previous: exampleMeta.previous,
-    }, exampleMeta.slug, config);
-}
+  // Sections without a heading are linked to through the closest heading above them
+  const toc = [];
+  let anchor = null;
+  for (const section of steps.flatMap(stepSections)) {
+    if (section.slug) {
+      toc.push({ heading: section.heading, slug: section.slug });
+    }
+    anchor = section.slug ?? anchor;
+    section.anchor = anchor;
+  }
 
-export function generateSitemap(examples, config = defaultConfig) {
-  const { siteDir } = config;
-  const baseUrl = "https://nodejsbyexample.com";
-  const today = new Date().toISOString().split('T')[0];
-  
-  let sitemap = `<?xml version="1.0" encoding="UTF-8"?>
-<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
-  <url>
-    <loc>${baseUrl}/</loc>
-    <lastmod>${today}</lastmod>
-    <changefreq>weekly</changefreq>
-    <priority>1.0</priority>
-  </url>
-`;
-
-  for (const example of examples) {
-    sitemap += `  <url>
-    <loc>${baseUrl}/${example.slug}</loc>
-    <lastmod>${today}</lastmod>
-    <changefreq>monthly</changefreq>
-    <priority>0.8</priority>
-  </url>
-`;
-  }
-
-  sitemap += `</urlset>`;
-  
-  fs.writeFileSync(path.join(siteDir, "sitemap.xml"), sitemap);
-  console.log("Generated sitemap.xml");
+  return { steps, toc, hasVariants: steps.some(step => step.files.some(file => file.variant)) };
 }
 
-export function buildSite(config = defaultConfig) {
+// Writes the page and step files of one example, outside of a full build.
+// `next` and `previous` are { slug } like the entries of contents.json.
+export function renderSingleExamplePage(exampleMeta, config = defaultConfig) {
   const mergedConfig = { ...defaultConfig, ...config };
-  const { examplesDir, contentsFile } = mergedConfig;
-  
+  const read = readExample(exampleMeta, mergedConfig);
+  if (!read) {
+    return;
+  }
+  const example = { ...exampleMeta, next: exampleMeta.next.slug, previous: exampleMeta.previous.slug, ...read };
+  writeStepFiles(example, mergedConfig);
+  renderExamplePage(example, mergedConfig);
+  return example;
+}
+
+// The site as data, for the output plugins: the categories of contents.json,
+// and every example with its dates, neighbours and steps. An example whose
+// files and entry are unchanged since the cached build is not read again.
+export function buildModel(config = defaultConfig, cache = null) {
+  config = { ...defaultConfig, ...config };
+  const { examplesDir, strict, only } = config;
+  const contentsFile = config.contentsFile ?? path.join(examplesDir, "contents.json");
+
   const contents = JSON.parse(fs.readFileSync(contentsFile, "utf8"));
 
-  // Flatten all tutorials from categories for processing
-  const allTutorials = contents.categories.flatMap(cat => cat.items);
+  const problems = validateContents(contents, examplesDir);
+  if (problems.length > 0) {
+    if (strict) {
+      throw new Error(`${contentsFile} has ${problems.length} problem(s):\n${formatProblems(problems, contentsFile)}`);
+    }
+    log.warn(formatProblems(problems, contentsFile));
+  }
 
-  // Filter to only existing directories
-  const filteredExamples = allTutorials.filter((example) => 
-    fs.existsSync(path.join(examplesDir, example.dir))
-  );
+  const unknown = (only ?? []).filter(slug => !contents.categories.some(cat => cat.items.some(item => item.slug === slug)));
+  if (unknown.length > 0) {
+    throw new Error(`${contentsFile} has no example ${unknown.map(slug => `"${slug}"`).join(", ")}`);
+  }
 
-  // Filter categories to only include existing tutorials
-  const filteredCategories = contents.categories.map(cat => ({
+  // Only examples whose directory exists, in categories that still have some.
+  // `only` doesn't narrow this down: neighbours and the pages covering the
+  // whole site still need every example.
+  const categories = contents.categories.map(cat => ({
     name: cat.name,
-    items: cat.items.filter(item => 
-      fs.existsSync(path.join(examplesDir, item.dir))
-    )
+    items: cat.items.filter(item => fs.existsSync(path.join(examplesDir, item.dir)))
   })).filter(cat => cat.items.length > 0);
+  const entries = categories.flatMap(cat =>
+    cat.items.map(item => ({ ...item, category: cat.name }))
+  );
+
+  const changed = new Set();
+  const cachedExamples = {};
+  const head = headCommit(examplesDir);
+  const examples = entries.map((entry, index) => {
+    const next = entries[index + 1]?.slug ?? "/";
+    const previous = entries[index - 1]?.slug ?? "/";
+
+    // Pages link to their neighbours, so an example is read again when either neighbour changes slug
+    const key = hashContent(
+      hashDirectory(path.join(examplesDir, entry.dir)),
+      { ...entry, next, previous }
+    );
+    const cached = cache?.examples[entry.slug];
+    let read;
+    if (cached?.key === key) {
+      read = cached.example;
+    } else {
+      read = readExample(entry, config);
+      changed.add(entry.slug);
+    }
+    // Dates take a few git processes per example, so they're kept until the
+    // example or the checked out commit changes
+    const dates = cached?.key === key && cached.head === head && cached.dates
+      ? { added: new Date(cached.dates.added), updated: new Date(cached.dates.updated) }
+      : exampleDates(path.join(examplesDir, entry.dir), entry);
+    cachedExamples[entry.slug] = { key, example: read, head, dates };
 
-  renderSinglePage("index", {
-    title: "",
-    slug: "",
-    description: "Learn Node.js through hands-on annotated code examples. A comprehensive tutorial covering core modules, networking, testing, and modern Node.js features.",
-    categories: filteredCategories,
-    next: filteredExamples[0],
-    previous: filteredExamples[filteredExamples.length - 1],
-  }, null, mergedConfig);
+    return {
+      ...entry,
+      ...dates,
+      next,
+      previous,
+      ...read,
+    };
+  });
 
-  // Generate sitemap.xml for SEO
-  generateSitemap(filteredExamples, mergedConfig);
+  // Recorded by tools/compat.js, which needs every Node.js release line installed
+  const matrix = readMatrix(config.compatibilityFile ?? path.join(examplesDir, "compatibility.json"));
 
-  for (const [index, data] of filteredExamples.entries()) {
-    const next = filteredExamples[index + 1] ?? { slug: "/" };
-    const previous = filteredExamples[index - 1] ?? { slug: "/" };
-    const example = {...data, next, previous};
+  return {
+    model: {
+      site: {
+        title: "Node.js by Example",
+        description: "Learn Node.js through hands-on annotated code examples. A comprehensive tutorial covering core modules, networking, testing, and modern Node.js features.",
+        ...siteAddress(config),
+      },
+      categories,
+      examples,
+      compatibility: matrix ? compatibilityTable(matrix) : null,
+    },
+    changed,
+    cachedExamples,
+  };
+}
 
-    renderSingleExamplePage(example, mergedConfig);
+export function buildSite(config = defaultConfig) {
+  const mergedConfig = { ...defaultConfig, ...config };
+  const { templateDir, siteDir, cacheFile } = mergedConfig;
+  const plugins = resolvePlugins(mergedConfig);
+
+  // Step files are published under examples/ in the site, which would write
+  // over the sources if they were inside it
+  for (const dir of [mergedConfig.examplesDir, templateDir]) {
+    const relative = path.relative(path.resolve(siteDir), path.resolve(dir));
+    if (!relative.startsWith("..") && !path.isAbsolute(relative)) {
+      throw new Error(`The site can't be written to ${siteDir} as it holds ${dir}`);
+    }
+  }
+
+  // Templates, the generator itself and every option pages are rendered
+  // with affect every page, so a change to any of them invalidates the cache
+  const buildKey = hashContent(
+    hashDirectory(templateDir),
+    hashDirectory(toolsDir),
+    {
+      runExamples: mergedConfig.runExamples,
+      // Steps are only run on the Node.js versions they support
+      node: mergedConfig.runExamples ? process.versions.node : null,
+      runTimeout: mergedConfig.runTimeout,
+      offline: mergedConfig.offline,
+      runButtons: mergedConfig.runButtons,
+      legacyHtml: mergedConfig.legacyHtml,
+      highlightThemes: mergedConfig.highlightThemes,
+      site: siteAddress(mergedConfig),
+      plugins: plugins.map(plugin => plugin.name),
+    }
+  );
+  const cache = cacheFile ? loadCache(cacheFile, siteDir, buildKey) : null;
+
+  // A clean build starts from nothing, but its files are only removed once
+  // the contents have been read without errors
+  const previous = mergedConfig.clean ? null : cache;
+  const { model, changed, cachedExamples } = buildModel(mergedConfig, previous);
+  if (mergedConfig.clean) {
+    const removed = cleanSite(siteDir);
+    if (removed) {
+      log.info(`Removed ${removed.length} generated file(s) from ${siteDir}`);
+      log.debug(removed.join("\n"));
+    } else if (fs.existsSync(siteDir) && fs.readdirSync(siteDir).length > 0) {
+      log.warn(`Not cleaning ${siteDir}: it has no ${generatedListFile} saying which of its files an earlier build wrote`);
+    }
+  }
+  fs.mkdirSync(siteDir, { recursive: true });
+
+  const before = snapshotSite(siteDir);
+  const { rebuilt, skipped, state } = runPlugins(plugins, model, {
+    config: mergedConfig,
+    changed,
+    previousState: previous?.plugins,
+  });
+  writeGeneratedList(siteDir, before, readGeneratedList(siteDir) ?? []);
+
+  if (cache) {
+    saveCache(cacheFile, { ...cache, examples: cachedExamples, plugins: state });
+  }
+
+  return { rebuilt, skipped };
+}
+
+// Only checks the table of contents
+function checkContents(config) {
+  const { examplesDir } = config;
+  const contentsFile = config.contentsFile ?? path.join(examplesDir, "contents.json");
+  const problems = validateContents(JSON.parse(fs.readFileSync(contentsFile, "utf8")), examplesDir);
+  if (problems.length > 0) {
+    console.error(formatProblems(problems, contentsFile));
+    process.exitCode = 1;
+  } else {
+    log.info(`${contentsFile} is valid`);
   }
 }
 
 // CLI entry point - only run when executed directly
 const isMainModule = import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-  buildSite();
-}
\ No newline at end of file
+  let options;
+  try {
+    options = parseCommandLine(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n\n${usage}`);
+    process.exit(1);
+  }
+
+  if (options.command === "help") {
+    console.log(usage);
+  } else {
+    setLogLevel(options.logLevel);
+    try {
+      const fileConfig = options.configFile
+        ? await loadConfigFile(options.configFile, { required: true })
+        : await loadConfigFile();
+
+      // Flags only override the configuration file when they're given
+      const config = {
+        ...defaultConfig,
+        ...fileConfig,
+        ...options.config,
+        highlightThemes: {
+          ...defaultThemes,
+          ...fileConfig.highlightThemes,
+          ...options.config.highlightThemes,
+        },
+      };
+      if (options.command === "check") {
+        checkContents(config);
+      } else {
+        buildSite(config);
+      }
+    } catch (error) {
+      console.error(error.message);
+      process.exitCode = 1;
+    }
+  }
+}
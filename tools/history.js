@@ -0,0 +1,60 @@
+// Example dates
+// When each example was added and last changed, from git history where there is
+// one and from file modification times otherwise. Only changes to the files a
+// page is made of count, so re-recording .out files doesn't update examples.
+
+import fs from "fs";
+import path from "path";
+import { execFileSync } from "child_process";
+import { languages } from "./steps.js";
+
+// Source files, with the prose in their comments, and shell scripts
+const pageFiles = Object.keys(languages).map(extension => `*${extension}`);
+
+function git(args, cwd) {
+  try {
+    return execFileSync("git", args, { cwd, encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] }).trim();
+  } catch {
+    return "";
+  }
+}
+
+function newestModification(dir) {
+  let newest = 0;
+  const walk = (current) => {
+    for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+      const entryPath = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        walk(entryPath);
+      } else if (entry.isFile() && languages[path.extname(entry.name)]) {
+        newest = Math.max(newest, fs.statSync(entryPath).mtimeMs);
+      }
+    }
+  };
+  walk(dir);
+  return new Date(newest);
+}
+
+// The commit checked out, or "" outside a repository. Dates of unchanged
+// examples only move when it does.
+export function headCommit(dir) {
+  return git(["rev-parse", "HEAD"], dir);
+}
+
+// An `added` date in contents.json wins over history, which renames and
+// imports of old examples would otherwise reset
+export function exampleDates(dir, meta = {}) {
+  // Uncommitted edits are newer than anything git knows about
+  const changed = git(["status", "--porcelain", "--", ...pageFiles], dir) !== "";
+  const lastCommit = changed ? "" : git(["log", "-1", "--format=%cI", "--", ...pageFiles], dir);
+  const updated = lastCommit ? new Date(lastCommit) : newestModification(dir);
+
+  const firstCommit = git(["log", "--diff-filter=A", "--format=%cI", "--", "."], dir).split("\n").pop();
+  const added = meta.added ? new Date(meta.added) : firstCommit ? new Date(firstCommit) : updated;
+
+  return { added, updated: updated < added ? added : updated };
+}
+
+export function isoDate(date) {
+  return date.toISOString().split("T")[0];
+}
@@ -0,0 +1,25 @@
+// Build messages
+// Progress goes through here so the command line can quiet it or ask for more
+
+const levels = ["quiet", "normal", "verbose"];
+let current = levels.indexOf("normal");
+
+export function setLogLevel(level) {
+  if (!levels.includes(level)) {
+    throw new Error(`Unknown log level "${level}", expected one of ${levels.join(", ")}`);
+  }
+  current = levels.indexOf(level);
+}
+
+export const log = {
+  // What the build wrote or skipped
+  info: (message) => {
+    if (current >= 1) console.log(message);
+  },
+  // Every page and how long each step took, with --verbose
+  debug: (message) => {
+    if (current >= 2) console.log(message);
+  },
+  // Problems are shown even with --quiet
+  warn: (message) => console.warn(message),
+};
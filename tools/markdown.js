@@ -0,0 +1,62 @@
+// Prose rendering
+// Comment text is Markdown; raw HTML is escaped unless it is one of the legacy tags
+
+import MarkdownIt from "markdown-it";
+import hljs from "highlight.js";
+
+// Tags older examples use for formatting, still allowed in compatibility mode
+const legacyTags = ["b", "strong", "i", "em", "code", "br"];
+const legacyTagPattern = new RegExp(`<(/?)(${legacyTags.join("|")})\\s*/?>`, "g");
+
+const markdown = new MarkdownIt({
+  html: false,
+  linkify: false,
+  typographer: false,
+});
+
+// ```note fences become callouts; other fences are highlighted like the code column
+const defaultFence = markdown.renderer.rules.fence;
+markdown.renderer.rules.fence = (tokens, idx, options, env, self) => {
+  const token = tokens[idx];
+  const info = token.info.trim();
+  if (info === "note") {
+    return `<aside class="note">${markdown.render(token.content)}</aside>\n`;
+  }
+  if (info && hljs.getLanguage(info)) {
+    const code = hljs.highlight(token.content, { language: info, ignoreIllegals: true }).value;
+    return `<pre><code class="hljs">${code}</code></pre>\n`;
+  }
+  return defaultFence(tokens, idx, options, env, self);
+};
+
+// Comments keep the space after `//`, which would otherwise turn indented lines into code blocks
+export function dedent(text) {
+  const lines = text.split("\n");
+  const indents = lines.filter(line => line.trim()).map(line => line.match(/^ */)[0].length);
+  const indent = Math.min(...indents);
+  return lines.map(line => line.slice(indent)).join("\n");
+}
+
+// Swaps legacy tags outside of code spans for placeholders that survive escaping
+function protectLegacyTags(text, saved) {
+  return text
+    .split(/(`+[^`]*`+)/)
+    .map((part, i) => i % 2 === 1 ? part : part.replace(legacyTagPattern, (tag) => {
+      saved.push(tag);
+      return `\uE000${saved.length - 1}\uE001`;
+    }))
+    .join("");
+}
+
+// XHTML, as EPUB needs, closes void tags like <br />
+export function renderProse(text, { legacyHtml = true, xhtml = false } = {}) {
+  if (!text || !text.trim()) {
+    return "";
+  }
+  const saved = [];
+  const source = legacyHtml ? protectLegacyTags(dedent(text), saved) : dedent(text);
+  const html = markdown
+    .render(source)
+    .replace(/\uE000(\d+)\uE001/g, (_, index) => saved[index]);
+  return xhtml ? html.replace(/<(br|hr|img)\b([^>]*?)\s*\/?>/g, "<$1$2 />") : html;
+}
@@ -0,0 +1,121 @@
+// Markdown export
+// Every example as a Markdown file, for vendoring into other docs, plus all.md
+// with the whole tutorial and an llms.txt index for language models. Prose
+// comments become paragraphs; code blocks are the step files' code exactly as
+// written, comments that aren't prose included.
+
+import fs from "fs";
+import path from "path";
+import { splitRuns } from "./comments.js";
+import { dedent } from "./markdown.js";
+import { extractDirectives } from "./text.js";
+import { log } from "./log.js";
+
+export const allFile = "all.md";
+export const llmsFile = "llms.txt";
+
+const fenceLanguages = { javascript: "js", typescript: "ts", shell: "sh" };
+
+// Long enough that no run of backticks in the code can close it
+export function fence(code, info = "") {
+  const longest = Math.max(0, ...[...code.matchAll(/`+/g)].map(match => match[0].length));
+  const marks = "`".repeat(Math.max(3, longest + 1));
+  return `${marks}${info}\n${code}${code.endsWith("\n") ? "" : "\n"}${marks}\n`;
+}
+
+function heading(level, text) {
+  return `${"#".repeat(Math.min(level, 6))} ${text}\n`;
+}
+
+function prose(text) {
+  return dedent(extractDirectives(text).comment).trim();
+}
+
+// Blocks of one step file, in file order
+export function fileBlocks(source, lang) {
+  const blocks = [];
+  for (const run of source.split("\n\n\n").flatMap(section => splitRuns(section, lang))) {
+    if (run.type === "prose" && prose(run.text)) {
+      blocks.push(`${prose(run.text)}\n`);
+    } else if (run.type === "code") {
+      blocks.push(fence(run.source, fenceLanguages[lang] ?? lang));
+    }
+  }
+  return blocks;
+}
+
+// `level` is the heading level of the example's title
+export function buildExampleMarkdown(example, { examplesDir, baseUrl, level = 1 }) {
+  const parts = [heading(level, example.title)];
+  if (example.description) {
+    parts.push(`${example.description}\n`);
+  }
+  const requirements = [
+    example.node && `Needs Node.js ${example.node} or later.`,
+    example.stability && `Stability: ${example.stability}.`,
+  ].filter(Boolean);
+  if (requirements.length > 0) {
+    parts.push(`> ${requirements.join(" ")}\n`);
+  }
+  parts.push(`From ${baseUrl}/${example.slug}\n`);
+
+  const multipleSteps = example.steps.length > 1;
+  for (const step of example.steps) {
+    const fileLevel = level + (multipleSteps ? 2 : 1);
+    if (multipleSteps) {
+      parts.push(heading(level + 1, `Step ${step.step}`));
+    }
+    const files = [...step.files.flatMap(file => [file, file.variant].filter(Boolean)), ...step.scripts];
+    for (const file of files) {
+      const source = fs.readFileSync(path.join(examplesDir, example.dir, step.step, file.name), "utf8");
+      parts.push(heading(fileLevel, `\`${file.name}\``), ...fileBlocks(source, file.lang));
+    }
+    if (step.output) {
+      parts.push(heading(fileLevel, "Output"), fence(step.output, "text"));
+    }
+  }
+
+  return parts.join("\n");
+}
+
+export function buildAllMarkdown(model, options) {
+  const parts = [heading(1, model.site.title), `${model.site.description}\n`];
+  for (const category of model.categories) {
+    parts.push(heading(2, category.name));
+    for (const item of category.items) {
+      const example = model.examples.find(other => other.slug === item.slug);
+      parts.push(buildExampleMarkdown(example, { ...options, level: 3 }));
+    }
+  }
+  return parts.join("\n");
+}
+
+// The format of https://llmstxt.org: a summary and links to the Markdown
+export function buildLlmsTxt(model) {
+  const { baseUrl } = model.site;
+  const parts = [
+    heading(1, model.site.title),
+    `> ${model.site.description}\n`,
+    `Each example is a Markdown file with its prose and the code of every step; ${allFile} has them all.\n`,
+  ];
+  for (const category of model.categories) {
+    const links = category.items.map(item => {
+      const example = model.examples.find(other => other.slug === item.slug);
+      const description = example.description ? `: ${example.description}` : "";
+      return `- [${example.title}](${baseUrl}/${example.slug}.md)${description}\n`;
+    });
+    parts.push(heading(2, category.name) + "\n" + links.join(""));
+  }
+  parts.push(heading(2, "Optional") + "\n" + `- [Every example in one file](${baseUrl}/${allFile})\n`);
+  return parts.join("\n");
+}
+
+export function writeMarkdown(model, config) {
+  const options = { examplesDir: config.examplesDir, baseUrl: model.site.baseUrl };
+  for (const example of model.examples) {
+    fs.writeFileSync(path.join(config.siteDir, `${example.slug}.md`), buildExampleMarkdown(example, options));
+  }
+  fs.writeFileSync(path.join(config.siteDir, allFile), buildAllMarkdown(model, options));
+  fs.writeFileSync(path.join(config.siteDir, llmsFile), buildLlmsTxt(model));
+  log.info(`Generated ${model.examples.length} Markdown files, ${allFile} and ${llmsFile}`);
+}
@@ -0,0 +1,113 @@
+// Offline support
+// A service worker that precaches the whole site, and the web app manifest that
+// lets readers install it
+
+import fs from "fs";
+import path from "path";
+import { hashContent } from "./cache.js";
+import { epubFile } from "./epub.js";
+import { apiDir } from "./api.js";
+import { llmsFile } from "./markdownExport.js";
+import { generatedListFile } from "./clean.js";
+import { log } from "./log.js";
+
+export const serviceWorkerFile = "sw.js";
+export const manifestFile = "manifest.webmanifest";
+
+const cachePrefix = "nodejsbyexample-";
+
+// Only read by crawlers, feed readers, other sites and language models, or
+// downloaded once, so not worth the space offline. The same goes for the
+// Markdown export, and the build's list of the files it wrote isn't for readers.
+const onlineOnly = ["sitemap.xml", "robots.txt", "atom.xml", "feed.xml", epubFile, serviceWorkerFile, apiDir, llmsFile, generatedListFile];
+
+// The pages of this build and every other file in the site. Pages are listed
+// rather than found, so stale pages left in the output aren't cached.
+export function precacheFiles(siteDir, pages) {
+  const files = pages.map(page => `${page}.html`);
+  const walk = (current) => {
+    for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+      const entryPath = path.join(current, entry.name);
+      const name = path.relative(siteDir, entryPath).split(path.sep).join("/");
+      if (onlineOnly.includes(name)) {
+        continue;
+      } else if (entry.isDirectory()) {
+        walk(entryPath);
+      } else if (entry.isFile() && !name.endsWith(".html") && !name.endsWith(".md")) {
+        files.push(name);
+      }
+    }
+  };
+  walk(siteDir);
+  return files.sort();
+}
+
+// Changes whenever any precached file does, so a deploy replaces the old cache
+export function cacheVersion(siteDir, files) {
+  return hashContent(...files.flatMap(file => [file, fs.readFileSync(path.join(siteDir, file), "utf8")])).slice(0, 12);
+}
+
+export function buildServiceWorker(files, version) {
+  return `// Generated by tools/offline.js
+const CACHE = ${JSON.stringify(cachePrefix + version)};
+const FILES = ${JSON.stringify(["./", ...files.map(file => `./${file}`)], null, 2)};
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(CACHE).then((cache) => cache.addAll(FILES)).then(() => self.skipWaiting()));
+});
+
+// Drop the caches of earlier builds
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys
+        .filter((key) => key.startsWith(${JSON.stringify(cachePrefix)}) && key !== CACHE)
+        .map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Pages are linked without their extension, so /timers is cached as timers.html
+self.addEventListener("fetch", (event) => {
+  const url = new URL(event.request.url);
+  if (event.request.method !== "GET" || url.origin !== location.origin) {
+    return;
+  }
+  const page = event.request.mode === "navigate" && !/\\.[a-z]+$/.test(url.pathname) && !url.pathname.endsWith("/")
+    ? new URL(url.pathname + ".html", url)
+    : null;
+  event.respondWith(
+    caches.open(CACHE)
+      .then((cache) => cache.match(page ?? event.request, { ignoreSearch: true }))
+      .then((cached) => cached ?? fetch(event.request))
+  );
+});
+`;
+}
+
+export function buildWebManifest() {
+  return JSON.stringify({
+    name: "Node.js by Example",
+    short_name: "Node by Example",
+    description: "Learn Node.js through hands-on annotated code examples.",
+    start_url: "./",
+    scope: "./",
+    display: "standalone",
+    background_color: "#ffffff",
+    theme_color: "#ffffff",
+  }, null, 2) + "\n";
+}
+
+// Written last, once every other file of the build is in place
+export function writeOfflineFiles(siteDir, pages) {
+  fs.writeFileSync(path.join(siteDir, manifestFile), buildWebManifest());
+  const files = precacheFiles(siteDir, pages);
+  fs.writeFileSync(path.join(siteDir, serviceWorkerFile), buildServiceWorker(files, cacheVersion(siteDir, files)));
+  log.info(`Generated ${serviceWorkerFile} precaching ${files.length} files`);
+}
+
+// A build without offline support must not leave an earlier worker behind
+export function removeOfflineFiles(siteDir) {
+  fs.rmSync(path.join(siteDir, serviceWorkerFile), { force: true });
+  fs.rmSync(path.join(siteDir, manifestFile), { force: true });
+}
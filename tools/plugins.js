@@ -0,0 +1,359 @@
+// Output plugins
+// Each one turns the site model from buildModel() into some of the site's files.
+// A plugin is { name, build(model, context) }, where the context has
+//   config   the merged build configuration
+//   changed  slugs of the examples read afresh rather than taken from the cache
+//   state    the `state` this plugin returned on the previous cached build, or null
+//   pages    the pages written by the plugins before it, as names without .html
+// build() may return { pages, rebuilt, skipped, state }: the pages it owns, the
+// ones it wrote and skipped this time, and what to get back as `state` next time.
+
+import fs from "fs";
+import path from "path";
+import { hashContent, hashDirectory } from "./cache.js";
+import { renderTemplate, renderPage } from "./render.js";
+import { renderProse } from "./markdown.js";
+import { readTheme, writeThemeStylesheet } from "./themes.js";
+import { indexSections, writeSearchIndex } from "./search.js";
+import { buildSitemap } from "./sitemap.js";
+import { writeApi } from "./api.js";
+import { writeMarkdown } from "./markdownExport.js";
+import { writeFeeds } from "./feeds.js";
+import { bookCategories } from "./book.js";
+import { writeEpub } from "./epub.js";
+import { writeOfflineFiles, removeOfflineFiles } from "./offline.js";
+import { log } from "./log.js";
+
+// Pages link to their neighbours by slug, "/" being the index
+const link = slug => ({ slug });
+
+function newestUpdate(examples) {
+  return examples.reduce((latest, example) => example.updated > latest ? example.updated : latest, new Date(0));
+}
+
+// The data the content and book templates expect for an example
+export function examplePage(example) {
+  return {
+    contents: example.steps,
+    toc: example.toc,
+    hasVariants: example.hasVariants,
+    title: example.title,
+    slug: example.slug,
+    description: example.description,
+    node: example.node,
+    stability: example.stability,
+    allow: example.allow ?? [],
+    next: link(example.next),
+    previous: link(example.previous),
+  };
+}
+
+// The stylesheet, search script and robots.txt are kept in the repository's
+// public directory, so a site written anywhere else needs copies of them
+export const staticFiles = ["styles.css", "search.js", "robots.txt"];
+
+export function staticFilesPlugin() {
+  return {
+    name: "static-files",
+    build(model, { config }) {
+      if (path.resolve(config.staticDir) === path.resolve(config.siteDir)) {
+        return;
+      }
+      for (const file of staticFiles.filter(file => fs.existsSync(path.join(config.staticDir, file)))) {
+        fs.copyFileSync(path.join(config.staticDir, file), path.join(config.siteDir, file));
+      }
+    },
+  };
+}
+
+// Written on every build: it's one small file
+export function themesPlugin() {
+  return {
+    name: "themes",
+    build(model, { config }) {
+      writeThemeStylesheet(config.siteDir, config.highlightThemes);
+    },
+  };
+}
+
+// Step files are published unchanged next to the page, for copying and downloading
+export function writeStepFiles(example, config) {
+  const rawDir = path.join(config.siteDir, "examples", example.slug);
+  fs.rmSync(rawDir, { recursive: true, force: true });
+  for (const step of example.steps) {
+    const files = [...step.files, ...step.files.map(file => file.variant).filter(Boolean), ...step.scripts];
+    for (const file of files) {
+      fs.mkdirSync(path.join(rawDir, step.step), { recursive: true });
+      fs.copyFileSync(path.join(config.examplesDir, example.dir, step.step, file.name), path.join(config.siteDir, file.url));
+    }
+  }
+}
+
+// `only` limits which examples get their page and step files written; every
+// other output still covers the whole site
+function isSelected(example, config) {
+  return !config.only || config.only.includes(example.slug);
+}
+
+// What is in a file or directory of the site now, or null when it's missing.
+// Output is only kept when it's still what the cached build wrote: another
+// build with other options may have written over it since.
+function hashOutput(outputPath) {
+  if (!fs.existsSync(outputPath)) {
+    return null;
+  }
+  return fs.statSync(outputPath).isDirectory() ? hashDirectory(outputPath) : hashContent(fs.readFileSync(outputPath, "utf8"));
+}
+
+export function stepFilesPlugin() {
+  return {
+    name: "step-files",
+    build(model, { config, changed, state }) {
+      const written = {};
+      for (const example of model.examples) {
+        const rawDir = path.join(config.siteDir, "examples", example.slug);
+        if (!isSelected(example, config)) {
+          written[example.slug] = state?.[example.slug];
+          continue;
+        }
+        if (changed.has(example.slug) || state?.[example.slug] !== hashOutput(rawDir)) {
+          writeStepFiles(example, config);
+        }
+        written[example.slug] = hashOutput(rawDir);
+      }
+      return { state: written };
+    },
+  };
+}
+
+// The index, compatibility and example pages. Pages of examples that came
+// from the cache are only written again when their file is missing or no
+// longer the one the cached build wrote.
+export function htmlPlugin() {
+  return {
+    name: "html",
+    build(model, { config, changed, state }) {
+      const written = {};
+      const pageHash = name => hashOutput(path.join(config.siteDir, `${name}.html`));
+      const unchanged = name => Boolean(state?.written?.[name]) && state.written[name] === pageHash(name);
+      const pages = ["index"];
+      const rebuilt = [];
+      let skipped = 0;
+
+      if (model.compatibility) {
+        renderPage("compatibility", {
+          title: "Compatibility",
+          slug: "compatibility",
+          description: "Which Node.js versions each Node.js by Example example runs on.",
+          ...model.compatibility,
+          next: link("/"),
+          previous: link("/"),
+        }, config);
+        pages.push("compatibility");
+      }
+
+      const indexKey = hashContent(model.categories, Boolean(model.compatibility), Boolean(config.book), Boolean(config.epub));
+      if (state?.index === indexKey && unchanged("index")) {
+        skipped++;
+      } else {
+        renderPage("index", {
+          title: "",
+          slug: "",
+          description: model.site.description,
+          categories: model.categories,
+          hasCompatibility: Boolean(model.compatibility),
+          hasBook: Boolean(config.book),
+          hasEpub: Boolean(config.epub),
+          next: link(model.examples[0]?.slug ?? "/"),
+          previous: link(model.examples.at(-1)?.slug ?? "/"),
+        }, config);
+        rebuilt.push("index");
+      }
+      written.index = pageHash("index");
+
+      for (const example of model.examples) {
+        if (!isSelected(example, config)) {
+          skipped++;
+          written[example.slug] = state?.written?.[example.slug];
+        } else if (!changed.has(example.slug) && unchanged(example.slug)) {
+          skipped++;
+          written[example.slug] = state.written[example.slug];
+        } else {
+          renderExamplePage(example, config);
+          rebuilt.push(example.slug);
+          written[example.slug] = pageHash(example.slug);
+        }
+        pages.push(example.slug);
+      }
+
+      return { pages, rebuilt, skipped, state: { index: indexKey, written } };
+    },
+  };
+}
+
+export function renderExamplePage(example, config) {
+  renderPage(example.slug, examplePage(example), config, "content");
+}
+
+export function sitemapPlugin() {
+  return {
+    name: "sitemap",
+    build(model, { config }) {
+      fs.writeFileSync(path.join(config.siteDir, "sitemap.xml"), buildSitemap(model.examples, model.site.baseUrl));
+      log.info("Generated sitemap.xml");
+    },
+  };
+}
+
+export function feedsPlugin() {
+  return {
+    name: "feeds",
+    build(model, { config }) {
+      writeFeeds(model.examples, model.site.baseUrl, config.siteDir);
+    },
+  };
+}
+
+export function searchPlugin() {
+  return {
+    name: "search",
+    build(model, { config }) {
+      const pages = model.examples.map(example => ({
+        title: example.title,
+        slug: example.slug,
+        category: example.category,
+        sections: indexSections(example.steps),
+      }));
+      writeSearchIndex(pages, config);
+    },
+  };
+}
+
+export function apiPlugin() {
+  return {
+    name: "api",
+    build(model, { config }) {
+      writeApi(model, config);
+    },
+  };
+}
+
+export function markdownPlugin() {
+  return {
+    name: "markdown",
+    build(model, { config }) {
+      writeMarkdown(model, config);
+    },
+  };
+}
+
+export function bookPlugin() {
+  return {
+    name: "book",
+    build(model, { config }) {
+      renderPage("book", {
+        title: "Book",
+        slug: "book",
+        description: "Every Node.js by Example example on one page, for printing or saving as a PDF.",
+        categories: bookCategories(model.categories, model.examples.map(examplePage)),
+        next: link("/"),
+        previous: link("/"),
+      }, config);
+      return { pages: ["book"] };
+    },
+  };
+}
+
+// Dated by the newest example, so an unchanged tutorial gives the same file
+export function epubPlugin() {
+  return {
+    name: "epub",
+    build(model, { config }) {
+      writeEpub(config.siteDir, bookCategories(model.categories, model.examples.map(examplePage)), {
+        render: (template, data) => renderTemplate(template, data, config, {
+          interactive: false,
+          renderProse: (text) => renderProse(text, { legacyHtml: config.legacyHtml, xhtml: true }),
+        }),
+        stylesheet: fs.readFileSync(path.join(config.templateDir, "epub", "epub.css"), "utf8") + readTheme(config.highlightThemes.light),
+        identifier: `${model.site.baseUrl}/`,
+        modified: newestUpdate(model.examples),
+      });
+    },
+  };
+}
+
+// Has to come last, as the service worker precaches every other file
+export function offlinePlugin() {
+  return {
+    name: "offline",
+    build(model, { config, pages }) {
+      if (config.offline) {
+        writeOfflineFiles(config.siteDir, pages);
+      } else {
+        removeOfflineFiles(config.siteDir);
+      }
+    },
+  };
+}
+
+// The plugins a build runs unless the configuration gives its own
+export function defaultPlugins(config) {
+  return [
+    staticFilesPlugin(),
+    themesPlugin(),
+    stepFilesPlugin(),
+    htmlPlugin(),
+    sitemapPlugin(),
+    feedsPlugin(),
+    searchPlugin(),
+    apiPlugin(),
+    ...(config.book ? [bookPlugin()] : []),
+    ...(config.epub ? [epubPlugin()] : []),
+    ...(config.markdown ? [markdownPlugin()] : []),
+    offlinePlugin(),
+  ];
+}
+
+// `plugins` in the configuration is either the list to run or a function that
+// gets the default list and returns the one to run
+export function resolvePlugins(config) {
+  const defaults = defaultPlugins(config);
+  if (!config.plugins) {
+    return defaults;
+  }
+  const plugins = typeof config.plugins === "function" ? config.plugins(defaults) : config.plugins;
+  for (const plugin of plugins) {
+    if (typeof plugin?.name !== "string" || typeof plugin.build !== "function") {
+      throw new Error(`A plugin needs a name and a build(model, context) function, got ${JSON.stringify(plugin)}`);
+    }
+  }
+  return plugins;
+}
+
+// Runs the plugins in order; `previousState` maps plugin names to the state
+// they returned last time
+export function runPlugins(plugins, model, { config, changed, previousState = {} }) {
+  const pages = [];
+  const state = {};
+  const rebuilt = [];
+  let skipped = 0;
+
+  for (const plugin of plugins) {
+    const started = Date.now();
+    const result = plugin.build(model, {
+      config,
+      changed,
+      state: previousState[plugin.name] ?? null,
+      pages: [...pages],
+    }) ?? {};
+    log.debug(`Ran the ${plugin.name} plugin in ${Date.now() - started}ms`);
+    pages.push(...(result.pages ?? []));
+    rebuilt.push(...(result.rebuilt ?? []));
+    skipped += result.skipped ?? 0;
+    if (result.state !== undefined) {
+      state[plugin.name] = result.state;
+    }
+  }
+
+  return { pages, rebuilt, skipped, state };
+}
@@ -0,0 +1,35 @@
+// Page rendering
+// Pug templates to HTML pages, for the output plugins that write them
+
+import fs from "fs";
+import path from "path";
+import pug from "pug";
+import { renderProse } from "./markdown.js";
+import { siteAddress, pageUrl } from "./urls.js";
+import { log } from "./log.js";
+
+// Renders a template to a string; `locals` overrides the defaults below
+export function renderTemplate(filePath, contents, config, locals = {}) {
+  const templatePath = path.join(config.templateDir, filePath.endsWith(".pug") ? filePath : `${filePath}.pug`);
+  const template = fs.readFileSync(templatePath, "utf8");
+  const address = siteAddress(config);
+  return pug.render(template, {
+    pretty: true,
+    filename: templatePath,
+    data: contents,
+    offline: config.offline,
+    interactive: true,
+    runButtons: config.runButtons,
+    ...address,
+    pageUrl: (slug) => pageUrl(slug, address.basePath),
+    renderProse: (text) => renderProse(text, { legacyHtml: config.legacyHtml }),
+    ...locals
+  });
+}
+
+// Writes `<name>.html` into the site from the template of the same name
+// unless another is given
+export function renderPage(name, contents, config, template = name) {
+  log.debug(`Attempting to render ${template}/${template === name ? "" : name}`);
+  fs.writeFileSync(path.join(config.siteDir, `${name}.html`), renderTemplate(template, contents, config));
+}
@@ -0,0 +1,232 @@
+// Example runner
+// Executes example files in a child process and captures their real output
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawn, spawnSync } from "child_process";
+
+export const defaultRunOptions = {
+  timeout: 5000,
+  maxBuffer: 1024 * 1024,
+  nodePath: process.execPath,
+  nodeVersion: process.versions.node,
+};
+
+// Only pass through what an example needs to run, never the builder's secrets
+function sandboxEnv(home) {
+  return {
+    PATH: process.env.PATH,
+    HOME: home,
+    LANG: process.env.LANG ?? "C.UTF-8",
+    NO_COLOR: "1",
+  };
+}
+
+export function expectationPath(filePath) {
+  return filePath.replace(/\.[^.]+$/, ".out");
+}
+
+// Colour codes from util.inspect() ignore NO_COLOR, and bytes like the NULs of
+// an unfilled buffer would make .out files binary and pages invalid
+export function stripControlCharacters(text) {
+  return text
+    .replace(/\x1b\[[0-?]*[ -/]*[@-~]/g, "")
+    .replace(/\x1b[@-_]/g, "")
+    .replace(/[\x00-\x08\x0b-\x1f\x7f]/g, "");
+}
+
+export function normalizeOutput(output) {
+  return stripControlCharacters(output.replace(/\r\n/g, "\n"))
+    .split("\n")
+    .map(line => line.trimEnd())
+    .join("\n")
+    .trim();
+}
+
+// Flags that let this Node.js run .ts files, or null when it can't strip types.
+// Stripping is on by default from 22.18 and 23.6, and behind a flag from 22.6.
+export function typeStrippingFlags(version = process.versions.node) {
+  const [major, minor] = version.split(".").map(Number);
+  const quiet = "--disable-warning=ExperimentalWarning";
+  if (major > 23 || (major === 23 && minor >= 6) || (major === 22 && minor >= 18)) {
+    return [quiet];
+  }
+  if (major === 23 || (major === 22 && minor >= 6)) {
+    return ["--experimental-strip-types", quiet];
+  }
+  return null;
+}
+
+// The `type` of the package.json closest to `dir`, which decides whether its
+// .js files are ES modules
+function moduleType(dir) {
+  for (let current = dir; ; current = path.dirname(current)) {
+    const packageFile = path.join(current, "package.json");
+    if (fs.existsSync(packageFile)) {
+      return JSON.parse(fs.readFileSync(packageFile, "utf8")).type ?? "commonjs";
+    }
+    if (path.dirname(current) === current) {
+      return "commonjs";
+    }
+  }
+}
+
+// A throwaway working directory holding a copy of the example's step, so
+// examples that write files don't litter the repository and the permission
+// model can confine them to it. `sources` replaces files of the copy by name.
+function copyStep(filePath, sources = {}) {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "nodejsbyexample-"));
+  const stepDir = path.dirname(path.resolve(filePath));
+  fs.cpSync(stepDir, workDir, { recursive: true });
+  // Out of the repository, .js files would lose the module type they had there
+  const packageFile = path.join(workDir, "package.json");
+  if (!fs.existsSync(packageFile)) {
+    fs.writeFileSync(packageFile, JSON.stringify({ type: moduleType(stepDir) }));
+  }
+  for (const [name, source] of Object.entries(sources)) {
+    fs.writeFileSync(path.join(workDir, path.basename(name)), source);
+  }
+  return workDir;
+}
+
+// Sandboxed like startExample() where the Node.js running it has the
+// permission model; `nodeVersion` is the version of `nodePath` and `allow`
+// what the example needs on top, from contents.json
+export function runExample(filePath, options = {}) {
+  const { timeout, maxBuffer, nodePath, nodeVersion, nodeArgs = [], allow = [] } = { ...defaultRunOptions, ...options };
+  const absolutePath = path.resolve(filePath);
+
+  const workDir = copyStep(filePath);
+  try {
+    const flags = permissionFlags(workDir, nodeVersion, allow) ?? [];
+    const result = spawnSync(nodePath, [...flags, ...nodeArgs, path.join(workDir, path.basename(filePath))], {
+      cwd: workDir,
+      env: sandboxEnv(workDir),
+      encoding: "utf8",
+      timeout,
+      maxBuffer,
+      killSignal: "SIGKILL",
+    });
+
+    // Hide machine specific paths so the output reads the same on every build
+    const relative = text => (text ?? "")
+      .replaceAll(path.dirname(absolutePath), ".")
+      .replaceAll(workDir, ".");
+
+    return {
+      stdout: relative(result.stdout),
+      stderr: relative(result.stderr),
+      status: result.status,
+      timedOut: result.error?.code === "ETIMEDOUT",
+    };
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+// What an example can be allowed on top of its directory, with `allow` in
+// contents.json
+export const permissions = ["child-process", "worker"];
+
+// Flags that sandbox an example with the permission model: it may only read and
+// write `dir`, and can't start workers unless `permitted` lists them. Null
+// before Node.js 20, and for examples that start processes: the model doesn't
+// confine those, and from 22 a child `node` won't even start under it.
+// The flag lost its `experimental-` prefix in 22.13 and 23.5.
+export function permissionFlags(dir, version = process.versions.node, permitted = []) {
+  const [major, minor] = version.split(".").map(Number);
+  if (major < 20 || permitted.includes("child-process")) {
+    return null;
+  }
+  const allow = [`--allow-fs-read=${dir}`, `--allow-fs-write=${dir}`];
+  const stable = major > 23 || (major === 23 && minor >= 5) || (major === 22 && minor >= 13);
+  // Silences the warnings that would otherwise start every run's output
+  const warnings = stable ? [] : ["ExperimentalWarning"];
+  if (permitted.includes("worker")) {
+    allow.push("--allow-worker");
+    warnings.push("SecurityWarning");
+  }
+  const quiet = major > 20 || minor >= 11 ? warnings.map(warning => `--disable-warning=${warning}`) : [];
+  return [stable ? "--permission" : "--experimental-permission", ...quiet, ...allow];
+}
+
+export const defaultStartOptions = {
+  timeout: 10000,
+  maxOutput: 64 * 1024,
+  maxMemory: 64,
+};
+
+// Runs an example in the background, streaming its output, for the dev
+// server's Run buttons, in a copy of its step the permission model confines
+// it to. `sources` replaces files of the copy by name, to run a reader's edits.
+// Calls onOutput(stream, text) as output arrives and onExit(result) once.
+export function startExample(filePath, { sources = {}, onOutput = () => {}, onExit = () => {}, ...options } = {}) {
+  const { timeout, maxOutput, maxMemory } = { ...defaultStartOptions, ...options };
+  if (!permissionFlags(os.tmpdir())) {
+    throw new Error(`Running examples needs Node.js 20 or later for the permission model, not ${process.versions.node}`);
+  }
+  const workDir = copyStep(filePath, sources);
+  const flags = permissionFlags(workDir);
+  const child = spawn(process.execPath, [...flags, `--max-old-space-size=${maxMemory}`, path.join(workDir, path.basename(filePath))], {
+    cwd: workDir,
+    env: sandboxEnv(workDir),
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+
+  let outputLength = 0;
+  let stopReason = null;
+  const stop = (reason) => {
+    stopReason ??= reason;
+    child.kill("SIGKILL");
+  };
+  const timer = setTimeout(() => stop("timeout"), timeout);
+
+  for (const stream of ["stdout", "stderr"]) {
+    child[stream].setEncoding("utf8");
+    child[stream].on("data", (text) => {
+      outputLength += text.length;
+      if (outputLength > maxOutput) {
+        stop("output");
+        return;
+      }
+      onOutput(stream, text.replaceAll(workDir, "."));
+    });
+  }
+
+  child.on("close", (status, signal) => {
+    clearTimeout(timer);
+    fs.rmSync(workDir, { recursive: true, force: true });
+    onExit({
+      status,
+      signal,
+      timedOut: stopReason === "timeout",
+      truncated: stopReason === "output",
+    });
+  });
+
+  return { stop: () => stop("stopped") };
+}
+
+export function formatOutput(result) {
+  let output = result.stdout + result.stderr;
+  if (result.timedOut) {
+    output += "\n(stopped after timeout)";
+  }
+  return normalizeOutput(output);
+}
+
+// Compares captured output with the recorded `.out` file next to the example.
+// Examples without a recording are not checked.
+export function checkExpectation(filePath, output) {
+  const expectedPath = expectationPath(filePath);
+  if (!fs.existsSync(expectedPath)) {
+    return { checked: false, matches: true };
+  }
+  const expected = normalizeOutput(fs.readFileSync(expectedPath, "utf8"));
+  return { checked: true, matches: expected === normalizeOutput(output), expected };
+}
+
+export function recordExpectation(filePath, output) {
+  fs.writeFileSync(expectationPath(filePath), normalizeOutput(output) + "\n");
+}
@@ -0,0 +1,73 @@
+// Search index
+// Builds the compact index that the client-side search box loads
+
+import fs from "fs";
+import path from "path";
+import { stripTags, collapseWhitespace } from "./text.js";
+import { stepSections } from "./steps.js";
+import { renderProse } from "./markdown.js";
+import { log } from "./log.js";
+
+// Picks identifiers out of highlight.js output, leaving out the keywords it marked
+export function extractIdentifiers(highlighted) {
+  const keywords = new Set(
+    [...highlighted.matchAll(/<span class="hljs-keyword">([^<]*)<\/span>/g)].map(match => match[1])
+  );
+  const identifiers = new Set();
+  for (const [word] of stripTags(highlighted).matchAll(/[A-Za-z_$][\w$]*/g)) {
+    if (word.length > 2 && !keywords.has(word)) {
+      identifiers.add(word);
+    }
+  }
+  return [...identifiers];
+}
+
+// Search entries for one page, kept separate so the build cache can store them
+export function indexSections(contents) {
+  const sections = [];
+  for (const step of contents) {
+    for (const section of stepSections(step)) {
+      const text = collapseWhitespace(stripTags(renderProse(section.comment)));
+      const identifiers = extractIdentifiers(section.code);
+      if (!text && identifiers.length === 0) {
+        continue;
+      }
+      sections.push({
+        anchor: section.anchor,
+        heading: section.heading,
+        text,
+        identifiers: identifiers.join(" "),
+      });
+    }
+  }
+  return sections;
+}
+
+export function buildSearchIndex(pages) {
+  const index = { pages: [], sections: [] };
+
+  for (const page of pages) {
+    const pageIndex = index.pages.push({
+      title: page.title,
+      url: page.slug,
+      category: page.category,
+    }) - 1;
+
+    for (const section of page.sections) {
+      index.sections.push({ page: pageIndex, ...section });
+    }
+  }
+
+  return index;
+}
+
+// Written as a script rather than JSON so the search also works from file://
+export function writeSearchIndex(pages, config) {
+  const { siteDir } = config;
+  const index = buildSearchIndex(pages);
+  fs.writeFileSync(
+    path.join(siteDir, "search-index.js"),
+    `window.searchIndex = ${JSON.stringify(index)};\n`
+  );
+  log.info("Generated search-index.js");
+}
@@ -2,10 +2,15 @@
 // Watches for file changes, rebuilds, and notifies browser via SSE
 
 import Fastify from 'fastify';
+import fs from 'fs';
 import path, { dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { watch } from 'chokidar';
 import { buildSite } from './generate.js';
+import { loadConfigFile } from './config.js';
+import { exampleSteps } from './compat.js';
+import { startExample } from './runner.js';
+import { languages, applySectionEdits } from './steps.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -16,6 +21,32 @@ const fastify = Fastify({
 
 const publicPath = path.join(__dirname, '../public');
 const rootPath = path.join(__dirname, '..');
+const examplesPath = path.join(rootPath, 'examples');
+
+// Run buttons execute example code on this machine, so they're opt-in:
+//   npm run dev -- --run-examples
+const runExamples = process.argv.includes('--run-examples');
+
+// Only pages whose sources changed are rebuilt between reloads. No service
+// worker: it would serve cached pages instead of the rebuilt ones.
+// nodejsbyexample.config.js is read once, so restart after changing it.
+const buildConfig = {
+  ...await loadConfigFile(path.join(rootPath, 'nodejsbyexample.config.js')),
+  cacheFile: path.join(rootPath, '.cache', 'build-cache.json'),
+  // Served from the root whatever path the published site has
+  basePath: '/',
+  offline: false,
+  runButtons: runExamples
+};
+
+function reportBuild({ rebuilt, skipped }) {
+  if (rebuilt.length === 0) {
+    console.log('[LiveReload] Nothing to rebuild');
+  } else {
+    console.log(`[LiveReload] Rebuilt ${rebuilt.length} page(s): ${rebuilt.join(', ')}`);
+  }
+  console.log(`[LiveReload] ${skipped} page(s) unchanged`);
+}
 
 // Track connected SSE clients
 const clients = new Set();
@@ -66,6 +97,99 @@ function notifyClients() {
   }
 }
 
+// Runs one step of an example and streams its output as it arrives. Only
+// steps listed in contents.json can run, and never ones marked "run": false,
+// listed in "notRun" or of examples that "allow" more than their directory,
+// as a reader's edits would get those permissions too.
+const maxRuns = 2;
+const maxEditSize = 100 * 1024;
+const runs = new Set();
+
+function findStep(slug, step) {
+  const contents = JSON.parse(fs.readFileSync(path.join(examplesPath, 'contents.json'), 'utf8'));
+  const item = contents.categories.flatMap(category => category.items).find(other => other.slug === slug);
+  if (!item || item.run === false || item.notRun?.includes(step) || item.allow?.length) {
+    return null;
+  }
+  return exampleSteps(examplesPath, item).find(other => other.step === step) ?? null;
+}
+
+// Edits arrive as { "<file>": { "<section index>": "<code>" } } for the
+// source files of the step; shell scripts can't be edited
+function editedSources(stepDir, edits) {
+  if (JSON.stringify(edits).length > maxEditSize) {
+    throw new Error('Edits are too large');
+  }
+  const editable = fs.readdirSync(stepDir)
+    .filter(name => languages[path.extname(name)] && languages[path.extname(name)] !== 'shell');
+  const sources = {};
+  for (const [name, sectionEdits] of Object.entries(edits)) {
+    if (!editable.includes(name)) {
+      throw new Error(`${name} is not an editable file of this step`);
+    }
+    sources[name] = applySectionEdits(fs.readFileSync(path.join(stepDir, name), 'utf8'), sectionEdits);
+  }
+  return sources;
+}
+
+function streamRun(reply, file, sources = {}) {
+  if (runs.size >= maxRuns) {
+    return reply.code(429).send({ error: `Already running ${runs.size} examples` });
+  }
+
+  // Output is JSON encoded, as SSE data can't hold newlines
+  const send = (event, data) => reply.raw.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  let run;
+  try {
+    run = startExample(file, {
+      sources,
+      onOutput: (stream, text) => send(stream, text),
+      onExit: (result) => {
+        runs.delete(run);
+        send('exit', result);
+        reply.raw.end();
+      }
+    });
+  } catch (err) {
+    return reply.code(500).send({ error: err.message });
+  }
+  runs.add(run);
+
+  reply.raw.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+
+  // Closing the page stops the example
+  reply.raw.on('close', () => run.stop());
+}
+
+if (runExamples) {
+  fastify.get('/run/:slug/:step', (request, reply) => {
+    const found = findStep(request.params.slug, request.params.step);
+    if (!found) {
+      return reply.code(404).send({ error: 'No such runnable step' });
+    }
+    streamRun(reply, found.file);
+  });
+
+  // The same, running the step with the reader's edits
+  fastify.post('/run/:slug/:step', (request, reply) => {
+    const found = findStep(request.params.slug, request.params.step);
+    if (!found) {
+      return reply.code(404).send({ error: 'No such runnable step' });
+    }
+    let sources;
+    try {
+      sources = editedSources(path.dirname(found.file), request.body?.edits ?? {});
+    } catch (err) {
+      return reply.code(400).send({ error: err.message });
+    }
+    streamRun(reply, found.file, sources);
+  });
+}
+
 // Register static file serving with HTML injection for live reload
 fastify.register(import('@fastify/static'), {
   root: publicPath,
@@ -120,9 +244,10 @@ function scheduleRebuild(changedPath) {
     
     try {
       const startTime = Date.now();
-      buildSite();
+      const result = buildSite(buildConfig);
       const duration = Date.now() - startTime;
       console.log(`[LiveReload] Build completed in ${duration}ms`);
+      reportBuild(result);
       
       // Small delay to ensure files are written
       setTimeout(() => {
@@ -165,7 +290,7 @@ function setupWatcher() {
 // Initial build
 console.log('[LiveReload] Running initial build...');
 try {
-  buildSite();
+  reportBuild(buildSite(buildConfig));
   console.log('[LiveReload] Initial build complete');
 } catch (err) {
   console.error('[LiveReload] Initial build failed:', err.message);
@@ -176,6 +301,9 @@ try {
 try {
   await fastify.listen({ port: 3000 });
   console.log(`\n[LiveReload] Server running at http://localhost:3000`);
+  if (runExamples) {
+    console.log('[LiveReload] Run buttons are on: examples run on this machine');
+  }
   setupWatcher();
 } catch (err) {
   fastify.log.error(err);
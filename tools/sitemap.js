@@ -0,0 +1,31 @@
+// Sitemap
+// Lists every page for search engines, dated by the last change to its example
+
+import { isoDate } from "./history.js";
+
+// Expects examples with the `updated` date from exampleDates()
+export function buildSitemap(examples, baseUrl) {
+  const newest = examples.reduce((latest, example) => example.updated > latest ? example.updated : latest, new Date(0));
+
+  let sitemap = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url>
+    <loc>${baseUrl}/</loc>
+    <lastmod>${isoDate(newest)}</lastmod>
+    <changefreq>weekly</changefreq>
+    <priority>1.0</priority>
+  </url>
+`;
+
+  for (const example of examples) {
+    sitemap += `  <url>
+    <loc>${baseUrl}/${example.slug}</loc>
+    <lastmod>${isoDate(example.updated)}</lastmod>
+    <changefreq>monthly</changefreq>
+    <priority>0.8</priority>
+  </url>
+`;
+  }
+
+  return sitemap + `</urlset>`;
+}
@@ -0,0 +1,68 @@
+// Step files
+// Which files in a numbered step directory are rendered, in what order and language
+
+import path from "path";
+
+// Languages of the files a step can contain, by extension
+export const languages = {
+  ".js": "javascript",
+  ".mjs": "javascript",
+  ".cjs": "javascript",
+  ".ts": "typescript",
+  ".json": "json",
+  ".sh": "shell",
+};
+
+export const runnableExtensions = [".js", ".mjs", ".cjs"];
+
+// Files in a step are shown in this order:
+//   1. the entry point, the source file named after the step's .sh file
+//   2. the remaining source files, alphabetically
+//   3. shell scripts, alphabetically
+// Files with an extension not listed in `languages` are left out.
+export function orderStepFiles(names) {
+  const known = names.filter(name => languages[path.extname(name)]).sort();
+  const isShell = name => languages[path.extname(name)] === "shell";
+  const shellNames = known.filter(isShell).map(name => path.basename(name, ".sh"));
+  const isEntry = name => shellNames.includes(path.basename(name, path.extname(name)));
+
+  const rank = name => isShell(name) ? 2 : isEntry(name) ? 0 : 1;
+  return known.sort((a, b) => rank(a) - rank(b));
+}
+
+// Every section of a step in the order it is rendered
+export function stepSections(step) {
+  return [...step.files, ...step.scripts].flatMap(file => file.sections);
+}
+
+// A .ts file next to a runnable file of the same name is its TypeScript variant,
+// rendered behind the JS/TS toggle rather than in a tab of its own
+export function findVariant(name, names) {
+  if (!runnableExtensions.includes(path.extname(name))) {
+    return null;
+  }
+  const variant = `${path.basename(name, path.extname(name))}.ts`;
+  return names.includes(variant) ? variant : null;
+}
+
+export function isVariant(name, names) {
+  return path.extname(name) === ".ts" && names.some(other => findVariant(other, names) === name);
+}
+
+// A step file's source with the code of some sections replaced, to run the
+// edits a reader made on the page. `edits` maps section indexes, in the order
+// sections are separated by two blank lines, to their new code. An edited
+// section loses its prose comments, which doesn't change what runs.
+export function applySectionEdits(source, edits) {
+  const sections = source.split("\n\n\n");
+  for (const [index, code] of Object.entries(edits)) {
+    if (!/^\d+$/.test(index) || Number(index) >= sections.length) {
+      throw new Error(`There is no section ${index}`);
+    }
+    if (typeof code !== "string") {
+      throw new Error(`The code of section ${index} must be a string`);
+    }
+    sections[index] = code;
+  }
+  return sections.join("\n\n\n");
+}
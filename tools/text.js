@@ -0,0 +1,78 @@
+// Text helpers shared by the generator and the search index
+
+const entities = {
+  "&amp;": "&",
+  "&lt;": "<",
+  "&gt;": ">",
+  "&quot;": "\"",
+  "&#x27;": "'",
+  "&#39;": "'",
+};
+
+export function stripTags(html) {
+  return html
+    .replace(/<[^>]+>/g, "")
+    .replace(/&(amp|lt|gt|quot|#x27|#39);/g, entity => entities[entity]);
+}
+
+export function collapseWhitespace(text) {
+  return text.replace(/\s+/g, " ").trim();
+}
+
+// The leading bold text of a comment, <b>Heading</b> or **Heading**, is the section heading
+export function extractHeading(comment) {
+  const match = comment.trim().match(/^(?:<b>(.*?)<\/b>|\*\*(.+?)\*\*)/);
+  return match ? collapseWhitespace(stripTags(match[1] ?? match[2])) : null;
+}
+
+// `@node <version>` and `@stability <level>` lines in a comment describe its section
+export function extractDirectives(comment) {
+  const directives = {};
+  const rest = comment
+    .split("\n")
+    .filter(line => {
+      const match = line.match(/^\s*@(node|stability)\s+(\S+)\s*$/);
+      if (match) {
+        directives[match[1]] = match[2];
+      }
+      return !match;
+    })
+    .join("\n");
+  return { comment: rest, directives };
+}
+
+export function slugify(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+// Ids the page templates give their own elements, which a section heading
+// like "Search" must not take
+export const reservedIds = ["intro", "toc", "book-toc", "footer", "search", "search-input", "search-results", "theme-toggle", "lang-toggle"];
+
+// Appends -2, -3, ... until the slug hasn't been used on the page yet
+export function uniqueSlug(slug, usedSlugs) {
+  let candidate = slug;
+  for (let n = 2; usedSlugs.has(candidate); n++) {
+    candidate = `${slug}-${n}`;
+  }
+  usedSlugs.add(candidate);
+  return candidate;
+}
+
+export function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// XML 1.0 has no way to write most control characters, even escaped, so
+// parsers reject documents with them
+export function stripInvalidXml(text) {
+  return String(text).replace(/[^\t\n\r\x20-\ud7ff\ue000-\ufffd\u{10000}-\u{10ffff}]/gu, "");
+}
@@ -0,0 +1,79 @@
+// Highlight themes
+// Bundles a light and a dark highlight.js theme into one stylesheet, each scoped
+// to the `data-theme` the page is showing
+
+import fs from "fs";
+import path from "path";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+
+export const defaultThemes = {
+  light: "base16/solarized-light",
+  dark: "base16/solarized-dark",
+};
+
+// The light theme also covers pages where the theme script never ran
+const themeScopes = {
+  light: "html:not([data-theme=\"dark\"])",
+  dark: "html[data-theme=\"dark\"]",
+};
+
+export function readTheme(name) {
+  let file;
+  try {
+    file = require.resolve(`highlight.js/styles/${name}.css`);
+  } catch {
+    throw new Error(`Unknown highlight.js theme "${name}"`);
+  }
+  return fs.readFileSync(file, "utf8");
+}
+
+// Prefixes every selector with `scope`, descending into @media blocks
+export function scopeCss(css, scope) {
+  const source = css.replace(/\/\*[\s\S]*?\*\//g, "");
+  let scoped = "";
+  let i = 0;
+
+  while (i < source.length) {
+    const open = source.indexOf("{", i);
+    if (open === -1) break;
+    const prelude = source.slice(i, open).trim();
+
+    if (prelude.startsWith("@")) {
+      let depth = 1;
+      let end = open + 1;
+      while (end < source.length && depth > 0) {
+        if (source[end] === "{") depth++;
+        else if (source[end] === "}") depth--;
+        end++;
+      }
+      scoped += `${prelude}{\n${scopeCss(source.slice(open + 1, end - 1), scope)}}\n`;
+      i = end;
+    } else {
+      const close = source.indexOf("}", open);
+      if (close === -1) break;
+      const selectors = prelude.split(",").map(selector => `${scope} ${selector.trim()}`).join(",");
+      scoped += `${selectors}{${source.slice(open + 1, close).trim()}}\n`;
+      i = close + 1;
+    }
+  }
+
+  return scoped;
+}
+
+export function buildThemeStylesheet(themes = defaultThemes) {
+  return Object.entries(themeScopes)
+    .map(([mode, scope]) => {
+      const name = themes[mode] ?? defaultThemes[mode];
+      const css = readTheme(name);
+      // Keep the theme's license banner
+      const banner = css.match(/^\s*\/\*![\s\S]*?\*\//)?.[0].trim() ?? `/* ${name} */`;
+      return `${banner}\n${scopeCss(css, scope)}`;
+    })
+    .join("\n");
+}
+
+export function writeThemeStylesheet(siteDir, themes = defaultThemes) {
+  fs.writeFileSync(path.join(siteDir, "highlight.css"), buildThemeStylesheet(themes));
+}
@@ -0,0 +1,34 @@
+// Site addresses
+// `baseUrl` is where the site is published and `basePath` the path under its
+// host the pages are served from, which is the path of `baseUrl` unless given.
+// Absolute URLs (canonical links, sitemap, feeds) use both. Links between
+// pages, stylesheets and scripts stay relative unless the site has a path, so
+// a default build also works from file:// or any other address.
+
+const relativePath = "./";
+
+// Always starts and ends with "/"
+export function normalizeBasePath(basePath) {
+  const trimmed = basePath.replace(/^\/+|\/+$/g, "");
+  return trimmed ? `/${trimmed}/` : "/";
+}
+
+// The site's address without a trailing slash, and the path pages link with
+export function siteAddress({ baseUrl, basePath = null }) {
+  const url = new URL(baseUrl);
+  const configured = basePath ?? (url.pathname === "/" ? null : url.pathname);
+  const path = configured === null ? "/" : normalizeBasePath(configured);
+  return {
+    baseUrl: `${url.origin}${path}`.replace(/\/$/, ""),
+    basePath: configured === null ? relativePath : path,
+  };
+}
+
+// The link to a page by its slug, "/" being the index. Relative links are
+// the bare slug.
+export function pageUrl(slug, basePath) {
+  if (basePath === relativePath) {
+    return slug;
+  }
+  return slug === "/" ? basePath : `${basePath}${slug}`;
+}
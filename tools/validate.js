@@ -0,0 +1,163 @@
+// contents.json validation
+// Reports every problem with the JSON path of the offending value
+
+import fs from "fs";
+import path from "path";
+import { languages } from "./steps.js";
+import { baselineVersion, stabilityLevels, isVersion, compareVersions, supports, introducedFor, findRequirements } from "./versions.js";
+import { permissions } from "./runner.js";
+
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function isNonEmptyString(value) {
+  return typeof value === "string" && value.trim().length > 0;
+}
+
+function isDate(value) {
+  return typeof value === "string" && DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+export function validateContents(contents, examplesDir) {
+  const problems = [];
+  const report = (jsonPath, message) => problems.push({ path: jsonPath, message });
+
+  if (!Array.isArray(contents?.categories)) {
+    report("categories", "must be an array");
+    return problems;
+  }
+
+  const slugs = new Map();
+  const dirs = new Map();
+
+  for (const [c, category] of contents.categories.entries()) {
+    const categoryPath = `categories[${c}]`;
+    if (!isNonEmptyString(category?.name)) {
+      report(`${categoryPath}.name`, "is missing");
+    }
+    if (!Array.isArray(category?.items)) {
+      report(`${categoryPath}.items`, "must be an array");
+      continue;
+    }
+    if (category.items.length === 0) {
+      report(`${categoryPath}.items`, "is empty");
+    }
+
+    for (const [i, item] of category.items.entries()) {
+      const itemPath = `${categoryPath}.items[${i}]`;
+
+      if (!isNonEmptyString(item?.slug)) {
+        report(`${itemPath}.slug`, "is missing");
+      } else if (!SLUG_PATTERN.test(item.slug)) {
+        report(`${itemPath}.slug`, `"${item.slug}" should be lowercase words separated by dashes`);
+      } else if (slugs.has(item.slug)) {
+        report(`${itemPath}.slug`, `"${item.slug}" is already used by ${slugs.get(item.slug)}`);
+      } else {
+        slugs.set(item.slug, itemPath);
+      }
+
+      if (!isNonEmptyString(item?.title)) {
+        report(`${itemPath}.title`, "is missing");
+      }
+      if (!isNonEmptyString(item?.description)) {
+        report(`${itemPath}.description`, "is missing");
+      }
+
+      if (!isNonEmptyString(item?.dir)) {
+        report(`${itemPath}.dir`, "is missing");
+      } else if (!fs.existsSync(path.join(examplesDir, item.dir))) {
+        report(`${itemPath}.dir`, `"${item.dir}" does not exist in ${examplesDir}`);
+      } else if (dirs.has(item.dir)) {
+        report(`${itemPath}.dir`, `"${item.dir}" is already used by ${dirs.get(item.dir)}`);
+      } else {
+        dirs.set(item.dir, itemPath);
+      }
+
+      if (item?.run !== undefined && typeof item.run !== "boolean") {
+        report(`${itemPath}.run`, "must be true or false");
+      }
+
+      // Steps that can't run on their own, like snippets that redeclare names
+      if (item?.notRun !== undefined) {
+        if (!Array.isArray(item.notRun) || !item.notRun.every(isNonEmptyString)) {
+          report(`${itemPath}.notRun`, "must be a list of step directories");
+        } else if (dirs.get(item?.dir) === itemPath) {
+          for (const step of item.notRun.filter(step => !fs.existsSync(path.join(examplesDir, item.dir, step)))) {
+            report(`${itemPath}.notRun`, `"${step}" is not a step of ${item.dir}`);
+          }
+        }
+      }
+
+      if (item?.allow !== undefined && !(Array.isArray(item.allow) && item.allow.every(name => permissions.includes(name)))) {
+        report(`${itemPath}.allow`, `must be a list of ${permissions.map(name => `"${name}"`).join(", ")}`);
+      }
+
+      if (item?.exitCode !== undefined && !(Number.isInteger(item.exitCode) && item.exitCode >= 0)) {
+        report(`${itemPath}.exitCode`, "must be a whole number");
+      }
+
+      if (item?.added !== undefined && !isDate(item.added)) {
+        report(`${itemPath}.added`, "must be a date like 2024-05-01");
+      }
+
+      if (item?.node !== undefined && !isVersion(item.node)) {
+        report(`${itemPath}.node`, "must be a version like 22.5.0");
+      } else if (dirs.get(item?.dir) === itemPath) {
+        const exampleMinimum = item.node ?? baselineVersion;
+        for (const { file, section, node, feature, since } of exampleRequirements(path.join(examplesDir, item.dir))) {
+          // A section can declare a newer minimum than its example
+          const minimum = node && isVersion(node) && compareVersions(node, exampleMinimum) > 0 ? node : exampleMinimum;
+          if (!supports(minimum, since)) {
+            const where = `${item.dir}/${file} section ${section}`;
+            report(`${itemPath}.node`, `is ${minimum} but ${where} uses ${feature}, added in ${introducedFor(since, minimum)}`);
+          }
+        }
+      }
+
+      if (item?.stability !== undefined && !stabilityLevels.includes(item.stability)) {
+        report(`${itemPath}.stability`, `must be one of ${stabilityLevels.join(", ")}`);
+      }
+    }
+  }
+
+  // Example directories that no entry points at never make it onto the site
+  if (fs.existsSync(examplesDir)) {
+    const orphans = fs.readdirSync(examplesDir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && !dirs.has(entry.name) && !entry.name.startsWith("."));
+    for (const orphan of orphans) {
+      report("categories", `example directory "${orphan.name}" is not listed`);
+    }
+  }
+
+  return problems;
+}
+
+// Versioned features used anywhere in an example's files, with the section
+// they are in and the minimum version that section declares
+function exampleRequirements(exampleDir) {
+  const requirements = [];
+  const walk = (current) => {
+    for (const entry of fs.readdirSync(current, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+      const entryPath = path.join(current, entry.name);
+      const lang = languages[path.extname(entry.name)];
+      if (entry.isDirectory()) {
+        walk(entryPath);
+      } else if (lang) {
+        const file = path.relative(exampleDir, entryPath).split(path.sep).join("/");
+        const sections = fs.readFileSync(entryPath, "utf8").split("\n\n\n");
+        for (const [index, source] of sections.entries()) {
+          const node = source.match(/^[\s/*]*@node\s+(\S+)\s*$/m)?.[1];
+          for (const requirement of findRequirements(source, lang)) {
+            requirements.push({ file, section: index + 1, node, ...requirement });
+          }
+        }
+      }
+    }
+  };
+  walk(exampleDir);
+  return requirements;
+}
+
+export function formatProblems(problems, contentsFile) {
+  return problems.map(problem => `${contentsFile}: ${problem.path} ${problem.message}`).join("\n");
+}
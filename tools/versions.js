@@ -0,0 +1,109 @@
+// Node.js versions
+// Minimum versions and stability levels examples declare, and the features in
+// their source that need a newer Node.js than the one they declare
+
+import { tokenize } from "./comments.js";
+
+// Examples that don't declare a minimum are expected to run on this
+export const baselineVersion = "18.0.0";
+
+// Levels of the Node.js stability index
+export const stabilityLevels = ["deprecated", "experimental", "release-candidate", "stable", "legacy"];
+
+// The release that brought each feature to each release line it was backported
+// to, ending with the line it first landed on. Later lines all have it.
+const moduleVersions = {
+  "node:fs/promises": ["14.0.0"],
+  "node:timers/promises": ["15.0.0"],
+  "node:stream/promises": ["15.0.0"],
+  "node:util/types": ["15.3.0"],
+  "node:diagnostics_channel": ["14.17.0", "15.1.0"],
+  "node:stream/web": ["16.5.0"],
+  "node:stream/consumers": ["16.7.0"],
+  "node:test": ["16.17.0", "18.0.0"],
+  "node:readline/promises": ["17.0.0"],
+  "node:test/reporters": ["18.17.0", "19.9.0"],
+  "node:inspector/promises": ["19.0.0"],
+  "node:sea": ["20.12.0", "21.7.0"],
+  "node:sqlite": ["22.5.0"],
+};
+
+const globalVersions = {
+  fetch: ["18.0.0"],
+  navigator: ["21.0.0"],
+  WebSocket: ["22.0.0"],
+};
+
+const flagVersions = {
+  "--test": ["18.1.0"],
+  "--watch": ["16.19.0", "18.11.0"],
+  "--watch-path": ["16.19.0", "18.11.0"],
+  "--test-reporter": ["18.15.0", "19.6.0"],
+  "--experimental-test-coverage": ["18.15.0", "19.7.0"],
+  "--env-file": ["20.6.0"],
+  "--experimental-default-type": ["20.10.0", "21.0.0"],
+  "--experimental-strip-types": ["22.6.0"],
+};
+
+const VERSION_PATTERN = /^\d+(\.\d+){0,2}$/;
+
+export function isVersion(value) {
+  return typeof value === "string" && VERSION_PATTERN.test(value);
+}
+
+export function compareVersions(a, b) {
+  const partsA = a.split(".").map(Number);
+  const partsB = b.split(".").map(Number);
+  for (let i = 0; i < 3; i++) {
+    const difference = (partsA[i] ?? 0) - (partsB[i] ?? 0);
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+  return 0;
+}
+
+const majorOf = version => Number(version.split(".")[0]);
+
+// The release that brought a feature to `version`'s release line, or to the
+// next line that has it when `version`'s line never got it
+export function introducedFor(since, version) {
+  const major = majorOf(version);
+  return since.find(release => majorOf(release) === major)
+    ?? since.find(release => majorOf(release) > major)
+    ?? since[since.length - 1];
+}
+
+export function supports(version, since) {
+  return compareVersions(version, introducedFor(since, version)) >= 0;
+}
+
+// Returns [{ feature, since }] for every versioned feature the source uses
+export function findRequirements(source, lang) {
+  const found = new Map();
+  const use = (feature, since) => found.set(feature, { feature, since });
+
+  if (lang === "shell") {
+    for (const line of source.split("\n")) {
+      if (!/^\s*(\$\s+)?node\s/.test(line)) continue;
+      for (const [flag] of line.matchAll(/--[a-z-]+/g)) {
+        if (flagVersions[flag]) use(flag, flagVersions[flag]);
+      }
+    }
+  } else if (lang === "javascript" || lang === "typescript") {
+    // Module names only count inside strings and globals only inside code,
+    // so prose that mentions them doesn't
+    for (const token of tokenize(source)) {
+      if (token.type === "string") {
+        const name = token.text.slice(1, -1);
+        if (moduleVersions[name]) use(name, moduleVersions[name]);
+      } else if (token.type === "code") {
+        for (const [name] of token.text.matchAll(/(?<![\w$.])[A-Za-z_$][\w$]*/g)) {
+          if (Object.hasOwn(globalVersions, name)) use(name, globalVersions[name]);
+        }
+      }
+    }
+  }
+
+  return [...found.values()];
+}